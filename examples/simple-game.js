@@ -70,6 +70,11 @@ async function runSimpleGame() {
     console.log(`${player?.name || playerId} folds`);
   });
   
+  table.on('bet:returned', ({ playerId, amount }) => {
+    const player = bots.find(b => b.id === playerId);
+    console.log(`Uncalled bet (${amount}) returned to ${player?.name || playerId}`);
+  });
+  
   table.on('draw:phase:started', ({ phase, drawNumber }) => {
     console.log(`\n[Draw #${drawNumber}] Players drawing cards...`);
   });
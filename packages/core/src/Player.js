@@ -45,6 +45,23 @@ export class Player extends WildcardEventEmitter {
     });
   }
 
+  /**
+   * Receive the result of a draw - OPTIONAL
+   * @param {Object} result
+   * @param {string} result.phase - Draw phase, e.g. 'first-draw'
+   * @param {Object[]} result.discarded - Cards thrown
+   * @param {Object[]} result.drawn - Replacement cards, in the order they were dealt
+   * @param {Object[]} result.hand - The new hand; replacements are at the end
+   */
+  receiveDrawResult(result) {
+    // Default implementation - subclasses can override
+    this.emit('draw:received', {
+      playerId: this.id,
+      discarded: result.discarded.length,
+      drawn: result.drawn.length,
+    });
+  }
+
   /**
    * Receive a message/notification - OPTIONAL
    * @param {Object} message - Message object
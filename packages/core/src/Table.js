@@ -2,10 +2,11 @@ import { nanoid } from 'nanoid';
 import { WildcardEventEmitter } from './base/WildcardEventEmitter.js';
 import { TripleDrawGameEngine } from './game/TripleDrawGameEngine.js';
 import { TableState, PlayerState } from './types/index.js';
-import { validateIntegerAmount } from './utils/validation.js';
+import { validateIntegerAmount, validateBettingStructure } from './utils/validation.js';
+import { createRng } from './utils/rng.js';
 import { Deck } from './game/Deck.js';
-import { BaseDeck } from './game/BaseDeck.js';
-import { DEFAULT_CONFIG } from './constants.js';
+import { adaptDeck } from './game/HoldemDeckAdapter.js';
+import { DEFAULT_CONFIG, Limits } from './constants.js';
 
 /**
  * Represents a triple-draw poker table that manages games and players
@@ -16,6 +17,8 @@ export class Table extends WildcardEventEmitter {
 
     this.id = config.id || nanoid();
 
+    const bettingStructure = validateBettingStructure(config.bettingStructure, config.limitBetting);
+
     // Validate blinds are integers
     const validatedBlinds = {
       small: validateIntegerAmount(
@@ -35,14 +38,31 @@ export class Table extends WildcardEventEmitter {
       minPlayers: config.minPlayers || DEFAULT_CONFIG.MIN_PLAYERS_PER_TABLE,
       blinds: validatedBlinds,
       timeout: config.timeout || DEFAULT_CONFIG.DEFAULT_TIMEOUT,
-      limitBetting: config.limitBetting !== false, // Default to limit betting
+      bettingStructure, // Default to fixed limit
+      limitBetting: bettingStructure === Limits.FIXED_LIMIT,
       betLimit: config.betLimit || validatedBlinds.big, // Default bet is big blind
+      ante: validateIntegerAmount(config.ante ?? 0, 'ante'), // Posted per anteType before blinds
     };
 
+    // Small bet for PRE_DRAW and POST_FIRST_DRAW, big bet for the last two rounds
+    this.config.smallBet = validateIntegerAmount(
+      config.smallBet ?? this.config.betLimit,
+      'small bet'
+    );
+    this.config.bigBet = validateIntegerAmount(
+      config.bigBet ?? this.config.smallBet * 2,
+      'big bet'
+    );
+
     // Simulation mode for fast execution without delays
     this.simulationMode = config.simulationMode === true;
 
+    // Picks the first button and seeds each hand's shuffle (config.rng or config.seed)
+    this.rng = createRng(config);
+
     this.players = new Map();
+    this.seats = new Array(this.config.maxPlayers).fill(null); // Player in each seat, null if empty
+    this.handSeatNumbers = new Map(); // Seat of everyone dealt into the current hand
     this.waitingList = [];
     this.state = TableState.WAITING;
     this.gameEngine = null;
@@ -57,12 +77,10 @@ export class Table extends WildcardEventEmitter {
       this.deck = new Deck();
     }
 
-    // Dead button rule tracking
-    this.playerOrder = []; // Ordered list of player IDs by seat
-    this.lastBigBlindPlayerId = null; // Track who posted BB last hand
-    this.currentDealerButton = config.dealerButton ?? 0; // Initial button position
-    this.nextBigBlindSeatNumber = null; // Track which seat posts BB next
-    this.lastHandBlinds = { small: null, big: null }; // Track who posted blinds last hand
+    // Dead button rule tracking, by seat number
+    this.buttonSeat = null; // Seat holding the button last hand, possibly empty
+    this.smallBlindSeat = null; // Seat that owed the small blind last hand, possibly empty
+    this.bigBlindSeat = null; // Seat that posted the big blind last hand
     this.isDeadButton = false; // Whether current button is on empty seat
     this.isDeadSmallBlind = false; // Whether small blind is dead this hand
   }
@@ -70,9 +88,20 @@ export class Table extends WildcardEventEmitter {
   /**
    * Add a player to the table
    * @param {Player} player - The player to add
+   * @param {Object} [options]
+   * @param {number} [options.seat] - Seat to sit in (default: lowest empty seat)
    * @returns {boolean} True if player was added successfully
    */
-  addPlayer(player) {
+  addPlayer(player, { seat } = {}) {
+    if (seat !== undefined) {
+      if (!Number.isInteger(seat) || seat < 0 || seat >= this.config.maxPlayers) {
+        throw new Error(`Seat must be an integer from 0 to ${this.config.maxPlayers - 1}`);
+      }
+      if (this.seats[seat] !== null) {
+        throw new Error(`Seat ${seat} is already taken`);
+      }
+    }
+
     if (this.players.size >= this.config.maxPlayers) {
       this.waitingList.push(player);
       this.emit('player:waiting', {
@@ -87,13 +116,14 @@ export class Table extends WildcardEventEmitter {
     }
 
     // Player should already have chips set before being added to the table
+    const seatNumber = seat ?? this.seats.indexOf(null);
+    this.seats[seatNumber] = player;
     this.players.set(player.id, player);
-    this.playerOrder.push(player.id);
 
     this.emit('player:joined', {
       playerId: player.id,
       chipCount: player.chips,
-      seatNumber: this.players.size - 1,
+      seatNumber,
     });
 
     // Auto-start if we have minimum players
@@ -125,11 +155,13 @@ export class Table extends WildcardEventEmitter {
       }
     }
 
+    const seatNumber = this.getSeatNumber(playerId);
     this.players.delete(playerId);
-    this.playerOrder = this.playerOrder.filter((id) => id !== playerId);
+    this.seats[seatNumber] = null;
 
     this.emit('player:left', {
       playerId,
+      seatNumber,
       remainingPlayers: this.players.size,
     });
 
@@ -180,39 +212,33 @@ export class Table extends WildcardEventEmitter {
       this.handStartingChips.set(id, player.chips);
     }
 
-    // Determine dealer button position
-    let dealerButtonIndex = this.currentDealerButton;
-
-    // Handle dead button rules
-    const activePlayers = Array.from(this.players.values()).filter(
-      (p) => p.state !== PlayerState.SITTING_OUT
-    );
-
-    if (this.gameCount === 1 || !this.lastBigBlindPlayerId) {
-      // First hand or no previous BB, random button
-      dealerButtonIndex = Math.floor(Math.random() * activePlayers.length);
-    } else {
-      // Move button clockwise from last position
-      dealerButtonIndex = (this.currentDealerButton + 1) % activePlayers.length;
+    this.advancePositions();
 
-      // Check for dead button
-      const buttonPlayer = activePlayers[dealerButtonIndex];
-      if (!buttonPlayer || buttonPlayer.state === PlayerState.SITTING_OUT) {
-        this.isDeadButton = true;
-      }
-    }
+    // The engine sees seated players in seat order; a dead button is placed on
+    // the nearest player to its right so action still starts left of the button
+    const handPlayers = this.getOccupiedSeats().map((seat) => this.seats[seat]);
+    const indexOfSeat = (seat) => handPlayers.indexOf(this.seats[seat]);
+    this.handSeatNumbers = new Map(handPlayers.map((p) => [p.id, this.getSeatNumber(p.id)]));
+    const dealerButtonIndex = this.isDeadButton
+      ? indexOfSeat(this.previousOccupiedSeat(this.buttonSeat))
+      : indexOfSeat(this.buttonSeat);
 
-    this.currentDealerButton = dealerButtonIndex;
+    // A seeded table gives every hand its own seed, so any hand can be replayed alone
+    const handRng = this.rng.fork?.() ?? this.rng;
 
     // Create game engine with current players
     const engineConfig = {
       ...this.config,
+      rng: handRng,
       tableId: this.id,
-      players: Array.from(this.players.values()),
+      players: handPlayers,
       dealerButton: dealerButtonIndex,
       deck: this.deck,
       simulationMode: this.simulationMode,
       buttonPlayerIndex: dealerButtonIndex,
+      seatNumbers: handPlayers.map((p) => this.handSeatNumbers.get(p.id)),
+      smallBlindPlayerIndex: this.isDeadSmallBlind ? undefined : indexOfSeat(this.smallBlindSeat),
+      bigBlindPlayerIndex: indexOfSeat(this.bigBlindSeat),
       isDeadButton: this.isDeadButton,
       isDeadSmallBlind: this.isDeadSmallBlind,
     };
@@ -229,8 +255,13 @@ export class Table extends WildcardEventEmitter {
 
     this.emit('game:started', {
       gameNumber: this.gameCount,
-      players: Array.from(this.players.keys()),
+      players: handPlayers.map((p) => p.id),
       dealerButton: dealerButtonIndex,
+      buttonSeat: this.buttonSeat,
+      smallBlindSeat: this.isDeadSmallBlind ? null : this.smallBlindSeat,
+      bigBlindSeat: this.bigBlindSeat,
+      isDeadButton: this.isDeadButton,
+      isDeadSmallBlind: this.isDeadSmallBlind,
     });
 
     // Start the hand
@@ -242,6 +273,100 @@ export class Table extends WildcardEventEmitter {
     }
   }
 
+  /**
+   * Move the button and blinds for the next hand using the dead-button rule.
+   * The big blind always advances to the next occupied seat, the small blind
+   * goes to last hand's big blind seat and the button to last hand's small
+   * blind seat, even when those players have left. That keeps anyone from
+   * skipping or paying the big blind twice when the table changes.
+   */
+  advancePositions() {
+    const occupied = this.getOccupiedSeats();
+    const isOccupied = (seat) => occupied.includes(seat);
+    const firstHand = this.bigBlindSeat === null;
+
+    if (firstHand || this.config.fixedPositions) {
+      // Start from the configured or a random button, or keep the button in place
+      let buttonSeat = firstHand
+        ? (this.config.dealerButton ?? occupied[this.rng.nextInt(occupied.length)])
+        : this.buttonSeat;
+      if (!isOccupied(buttonSeat)) {
+        buttonSeat = this.nextOccupiedSeat(buttonSeat);
+      }
+
+      this.buttonSeat = buttonSeat;
+      this.smallBlindSeat = occupied.length === 2 ? buttonSeat : this.nextOccupiedSeat(buttonSeat);
+      this.bigBlindSeat = this.nextOccupiedSeat(this.smallBlindSeat);
+    } else if (occupied.length === 2) {
+      // Heads-up the button posts the small blind, and the big blind still moves on
+      this.bigBlindSeat = this.nextOccupiedSeat(this.bigBlindSeat);
+      this.smallBlindSeat = this.nextOccupiedSeat(this.bigBlindSeat);
+      this.buttonSeat = this.smallBlindSeat;
+    } else {
+      this.buttonSeat = this.smallBlindSeat;
+      this.smallBlindSeat = this.bigBlindSeat;
+      this.bigBlindSeat = this.nextOccupiedSeat(this.bigBlindSeat);
+    }
+
+    this.isDeadButton = !isOccupied(this.buttonSeat);
+    this.isDeadSmallBlind = !isOccupied(this.smallBlindSeat);
+  }
+
+  /**
+   * Seat number of a seated player
+   * @param {string} playerId
+   * @returns {number} Seat number, or -1 if the player is not seated
+   */
+  getSeatNumber(playerId) {
+    return this.seats.findIndex((p) => p !== null && p.id === playerId);
+  }
+
+  /**
+   * View of every seat at the table, including empty ones
+   * @returns {Object[]} One entry per seat with seatNumber, empty, and the seated
+   *   player's playerId, name, chips and state (null for an empty seat)
+   */
+  getSeats() {
+    return this.seats.map((player, seatNumber) => ({
+      seatNumber,
+      empty: player === null,
+      playerId: player?.id ?? null,
+      name: player?.name ?? null,
+      chips: player?.chips ?? null,
+      state: player?.state ?? null,
+    }));
+  }
+
+  /**
+   * Seat numbers of players who can be dealt in, in seat order
+   * @returns {number[]}
+   */
+  getOccupiedSeats() {
+    return this.seats
+      .map((player, seat) => (player && player.state !== PlayerState.SITTING_OUT ? seat : null))
+      .filter((seat) => seat !== null);
+  }
+
+  /**
+   * First occupied seat clockwise from a seat
+   * @param {number} seat
+   * @returns {number}
+   */
+  nextOccupiedSeat(seat) {
+    const occupied = this.getOccupiedSeats();
+    return occupied.find((s) => s > seat) ?? occupied[0];
+  }
+
+  /**
+   * First occupied seat counter-clockwise from a seat
+   * @param {number} seat
+   * @returns {number}
+   */
+  previousOccupiedSeat(seat) {
+    const occupied = this.getOccupiedSeats();
+    return occupied.findLast((s) => s < seat) ?? occupied[occupied.length - 1];
+  }
+
   /**
    * Handle hand ended event
    */
@@ -280,6 +405,8 @@ export class Table extends WildcardEventEmitter {
       gameNumber: this.gameCount,
       winners: result.winners,
       profits: Object.fromEntries(profits),
+      actionHistory: result.actionHistory,
+      seed: result.seed,
       eliminatedPlayers,
     });
 
@@ -302,6 +429,7 @@ export class Table extends WildcardEventEmitter {
     const eventsToForward = [
       'hand:started',
       'cards:dealt',
+      'ante:posted',
       'blind:posted',
       'betting:round:started',
       'betting:round:ended',
@@ -311,19 +439,32 @@ export class Table extends WildcardEventEmitter {
       'player:bet',
       'player:raised',
       'player:all-in',
+      'bet:returned',
       'player:timeout',
       'draw:phase:started',
       'player:drawing',
       'player:stood-pat',
       'player:drawing:cards',
+      'player:draw:rejected',
       'player:drew:cards',
+      'draw:phase:ended',
+      'deck:reshuffled',
+      'card:burned',
+      'sidepot:created',
       'showdown',
     ];
 
     eventsToForward.forEach((eventName) => {
       this.gameEngine.on(eventName, (data) => {
+        // Seat numbers are fixed at the start of the hand, so players who leave keep theirs
+        const seat =
+          data?.playerId !== undefined
+            ? { seatNumber: this.handSeatNumbers.get(data.playerId) }
+            : {};
+
         this.emit(eventName, {
           ...data,
+          ...seat,
           tableId: this.id,
           gameNumber: this.gameCount,
         });
@@ -383,12 +524,10 @@ export class Table extends WildcardEventEmitter {
 
   /**
    * Set a custom deck implementation
+   * @param {Object} deck - BaseDeck subclass, conforming draw deck or legacy Hold'em deck
    */
   setDeck(deck) {
-    if (!(deck instanceof BaseDeck)) {
-      throw new Error('Deck must extend BaseDeck');
-    }
-    this.deck = deck;
+    this.deck = adaptDeck(deck);
   }
 
   /**
@@ -404,11 +543,13 @@ export class Table extends WildcardEventEmitter {
         name: p.name,
         chips: p.chips,
         state: p.state,
+        seatNumber: this.getSeatNumber(p.id),
       })),
-      config: this.config,
+      seats: this.getSeats(),
+      config: { ...this.config, seed: undefined, rng: undefined }, // The seed would predict every deal
       gameCount: this.gameCount,
       waitingList: this.waitingList.length,
-      currentGame: this.gameEngine ? this.gameEngine.getGameState() : null,
+      currentGame: this.gameEngine ? this.gameEngine.getGameStateFor(null) : null, // Observer view
     };
   }
 }
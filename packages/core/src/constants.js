@@ -16,6 +16,7 @@ export const DEFAULT_CONFIG = {
   MAX_DRAWS: 3, // Three draw rounds in triple draw
   CARDS_PER_HAND: 5, // Each player gets 5 cards
   MAX_DISCARD: 5, // Can discard all 5 cards
+  MAX_DRAW_ATTEMPTS: 3, // Draw actions a player may submit before the default applies
 };
 
 // Poker variants
@@ -74,6 +75,25 @@ export const Limits = {
   FIXED_LIMIT: 'fixed-limit', // Most common for triple draw
 };
 
+// Ante structures
+export const AnteTypes = {
+  PER_PLAYER: 'per-player',
+  BIG_BLIND: 'big-blind', // Big blind posts one ante for the whole table
+  BUTTON: 'button', // Button posts one ante for the whole table
+};
+
+// What the engine does with a draw action that fails validation
+export const InvalidDrawPolicy = {
+  DEFAULT: 'default', // Apply the default draw
+  REPROMPT: 'reprompt', // Ask again while the player's time lasts
+};
+
+// Draw made for a player who times out, errors or sends an invalid draw
+export const DefaultDraw = {
+  STAND_PAT: 'stand-pat',
+  SUGGESTED: 'suggested', // Throw what suggestDiscards() picks
+};
+
 // Tournament types
 export const TournamentTypes = {
   SINGLE_TABLE: 'single-table',
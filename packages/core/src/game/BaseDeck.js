@@ -1,75 +1,147 @@
 /**
  * Abstract base class for Deck implementations
  * Defines the interface that all deck implementations must follow
+ *
+ * A draw game deals five-card hands from the stub, deals replacement cards in
+ * each draw, and may burn a card first. Thrown cards go to the discard pile and
+ * are shuffled back into the stub if it runs out. Subclasses implement the stub
+ * (reset, shuffle, draw, getRemaining and returnToStub); the rest is built on it.
  */
 export class BaseDeck {
   constructor() {
     if (new.target === BaseDeck) {
       throw new Error('BaseDeck is an abstract class and cannot be instantiated directly');
     }
+    this.discardPile = []; // Cards players threw this hand
+    this.burnPile = []; // Cards burned this hand
   }
 
   /**
-   * Shuffle the deck
+   * Restore the full deck and empty the discard and burn piles
    * @abstract
    */
-  shuffle() {
-    throw new Error('shuffle() must be implemented by subclass');
+  reset() {
+    throw new Error('reset() must be implemented by subclass');
   }
 
   /**
-   * Deal hole cards to a player
+   * Shuffle the stub
    * @abstract
-   * @param {string} _playerId - The player's ID
-   * @param {number} _seatPosition - The player's seat position
-   * @returns {Array} Array of 2 cards
+   * @param {Object} [_rng] - RNG the engine shuffles with this hand
    */
-  dealHoleCards(_playerId, _seatPosition) {
-    throw new Error('dealHoleCards() must be implemented by subclass');
+  shuffle(_rng) {
+    throw new Error('shuffle() must be implemented by subclass');
   }
 
   /**
-   * Deal the flop (3 community cards)
+   * Take the top card of the stub
    * @abstract
-   * @returns {Array} Array of 3 cards
+   * @returns {Object} Card object
    */
-  dealFlop() {
-    throw new Error('dealFlop() must be implemented by subclass');
+  draw() {
+    throw new Error('draw() must be implemented by subclass');
   }
 
   /**
-   * Deal the turn (1 community card)
+   * Get remaining card count
    * @abstract
-   * @returns {Object} Single card object
+   * @returns {number} Number of cards remaining
    */
-  dealTurn() {
-    throw new Error('dealTurn() must be implemented by subclass');
+  getRemaining() {
+    throw new Error('getRemaining() must be implemented by subclass');
   }
 
   /**
-   * Deal the river (1 community card)
+   * Put cards back at the bottom of the stub
    * @abstract
-   * @returns {Object} Single card object
+   * @param {Object[]} _cards - Cards to return
    */
-  dealRiver() {
-    throw new Error('dealRiver() must be implemented by subclass');
+  returnToStub(_cards) {
+    throw new Error('returnToStub() must be implemented by subclass');
   }
 
   /**
-   * Reset deck to initial state
-   * @abstract
+   * Draw multiple cards from the top of the stub
+   * @param {number} count - Number of cards to draw
+   * @returns {Object[]} Cards drawn
    */
-  reset() {
-    throw new Error('reset() must be implemented by subclass');
+  drawMultiple(count) {
+    if (count > this.getRemaining()) {
+      throw new Error(`Cannot draw ${count} cards, only ${this.getRemaining()} remaining`);
+    }
+    return Array.from({ length: count }, () => this.draw());
   }
 
   /**
-   * Get remaining card count
-   * @abstract
-   * @returns {number} Number of cards remaining
+   * Deal a starting hand
+   * @param {number} [count=5] - Cards per hand
+   * @returns {Object[]} The hand
    */
-  getRemaining() {
-    throw new Error('getRemaining() must be implemented by subclass');
+  dealHand(count = 5) {
+    return this.drawMultiple(count);
+  }
+
+  /**
+   * Called before each draw's replacement cards are dealt, after any burn
+   * @param {number} _drawNumber - Draw about to be dealt, from 1
+   */
+  beginDraw(_drawNumber) {}
+
+  /**
+   * Deal replacement cards in a draw
+   * @param {number} count - Cards the player threw
+   * @returns {Object[]} The replacements
+   */
+  dealReplacements(count) {
+    return this.drawMultiple(count);
+  }
+
+  /**
+   * Burn cards from the top of the stub
+   * @param {number} [count=1] - Cards to burn
+   * @returns {Object[]} The burned cards
+   */
+  burn(count = 1) {
+    const cards = this.drawMultiple(count);
+    this.burnPile.push(...cards);
+    return cards;
+  }
+
+  /**
+   * Put thrown cards on the discard pile
+   * @param {Object[]} cards - Cards a player discarded
+   */
+  discard(cards) {
+    this.discardPile.push(...cards);
+  }
+
+  /**
+   * Shuffle the discard pile into the stub
+   * @param {Object} [rng] - RNG to shuffle with
+   * @param {Object} [options]
+   * @param {Object[]} [options.exclude] - Discards to keep out, like the drawing player's own
+   * @param {boolean} [options.burns=false] - Shuffle the burned cards in too
+   * @returns {Object[]} The cards shuffled in
+   */
+  reshuffleDiscards(rng, { exclude = [], burns = false } = {}) {
+    const reshuffled = this.discardPile.filter((card) => !exclude.includes(card));
+    this.discardPile = this.discardPile.filter((card) => exclude.includes(card));
+    if (burns) {
+      reshuffled.push(...this.burnPile);
+      this.burnPile = [];
+    }
+    this.returnToStub(reshuffled);
+    this.shuffle(rng);
+    return reshuffled;
+  }
+
+  /**
+   * Empty the discard and burn piles, for reset()
+   * @protected
+   */
+  clearPiles() {
+    this.discardPile = [];
+    this.burnPile = [];
   }
 
   /**
@@ -0,0 +1,96 @@
+import { BaseDeck } from './BaseDeck.js';
+
+// Methods a deck needs to be used as is, without extending BaseDeck
+const DRAW_DECK_METHODS = [
+  'reset',
+  'shuffle',
+  'draw',
+  'getRemaining',
+  'returnToStub',
+  'drawMultiple',
+  'dealHand',
+  'beginDraw',
+  'dealReplacements',
+  'burn',
+  'discard',
+  'reshuffleDiscards',
+];
+
+// Methods of the old Hold'em-shaped deck interface the adapter relies on
+const HOLDEM_DECK_METHODS = ['reset', 'shuffle', 'getRemaining', 'dealTurn'];
+
+const hasMethods = (deck, methods) => methods.every((name) => typeof deck?.[name] === 'function');
+
+/**
+ * Draw deck built on a legacy Hold'em-shaped deck
+ *
+ * Cards come off the wrapped deck one at a time (`draw()` when it has one,
+ * otherwise `dealTurn()`). Cards returned to the stub are kept by the adapter
+ * and dealt once the wrapped deck runs out.
+ */
+export class HoldemDeckAdapter extends BaseDeck {
+  /**
+   * @param {Object} deck - Deck with reset, shuffle, getRemaining and dealTurn
+   */
+  constructor(deck) {
+    super();
+    if (!hasMethods(deck, HOLDEM_DECK_METHODS)) {
+      throw new Error(`Hold'em deck must implement ${HOLDEM_DECK_METHODS.join(', ')}`);
+    }
+    this.deck = deck;
+    this.returned = []; // Cards put back under the wrapped deck's stub
+  }
+
+  reset() {
+    this.clearPiles();
+    this.returned = [];
+    this.deck.reset();
+  }
+
+  shuffle(rng) {
+    this.deck.shuffle(rng);
+    if (!rng) return;
+    for (let i = this.returned.length - 1; i > 0; i--) {
+      const j = rng.nextInt(i + 1);
+      [this.returned[i], this.returned[j]] = [this.returned[j], this.returned[i]];
+    }
+  }
+
+  draw() {
+    if (this.deck.getRemaining() > 0) {
+      return typeof this.deck.draw === 'function' ? this.deck.draw() : this.deck.dealTurn();
+    }
+    if (this.returned.length === 0) {
+      throw new Error('Cannot draw from empty deck');
+    }
+    return this.returned.shift();
+  }
+
+  getRemaining() {
+    return this.deck.getRemaining() + this.returned.length;
+  }
+
+  returnToStub(cards) {
+    this.returned.push(...cards);
+  }
+}
+
+/**
+ * Get a draw deck for a custom deck implementation
+ *
+ * BaseDeck subclasses and objects with every draw deck method are used as is;
+ * legacy Hold'em-shaped decks are wrapped in a HoldemDeckAdapter.
+ * @param {Object} deck - Deck to use
+ * @returns {BaseDeck|Object} The deck the engine deals from
+ */
+export function adaptDeck(deck) {
+  if (deck instanceof BaseDeck || (hasMethods(deck, DRAW_DECK_METHODS) && deck.discardPile)) {
+    return deck;
+  }
+  if (hasMethods(deck, HOLDEM_DECK_METHODS) && typeof deck.dealHoleCards === 'function') {
+    return new HoldemDeckAdapter(deck);
+  }
+  throw new Error(
+    `Deck must extend BaseDeck or implement ${DRAW_DECK_METHODS.join(', ')} and a discardPile`
+  );
+}
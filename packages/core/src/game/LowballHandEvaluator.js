@@ -156,8 +156,9 @@ export class LowballHandEvaluator {
       // No pair - determine which low hand it is
       const highCard = rankValues[4]; // Highest card determines the low type
 
-      if (highCard === 7 && rankValues.join(',') === '2,3,4,5,7') {
-        handType = 'wheel';
+      if (highCard === 7) {
+        // 7-6 lows share the wheel's rank and lose to it card by card
+        handType = rankValues.join(',') === '2,3,4,5,7' ? 'wheel' : 'seven-low';
         handRank = LowballRank.WHEEL;
       } else if (highCard === 8) {
         handType = 'eight-low';
@@ -273,6 +274,7 @@ export class LowballHandEvaluator {
     switch (evaluation.type) {
       case 'wheel':
         return `7-5-4-3-2 (the wheel)`;
+      case 'seven-low':
       case 'eight-low':
       case 'nine-low':
       case 'ten-low':
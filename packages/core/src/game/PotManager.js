@@ -1,5 +1,6 @@
 import { EventEmitter } from 'eventemitter3';
 import { ensureInteger } from '../utils/validation.js';
+import { PlayerState } from '../types/index.js';
 import { Pot } from './Pot.js';
 import { LowballHandEvaluator } from './LowballHandEvaluator.js';
 
@@ -21,11 +22,17 @@ export class PotManager extends EventEmitter {
   /**
    * Create a new pot
    * @param {Player[]} eligiblePlayers - Players eligible for this pot
+   * @param {number} [index] - Position in the pot list (defaults to the end)
    * @returns {Pot} The created pot
    */
-  createPot(eligiblePlayers) {
+  createPot(eligiblePlayers, index = this.pots.length) {
     const pot = new Pot(this.nextPotId++, eligiblePlayers);
-    this.pots.push(pot);
+    this.pots.splice(index, 0, pot);
+
+    // Keep pot names in payout order when a side pot lands between existing pots
+    this.pots.forEach((p, i) => {
+      p.name = i === 0 ? 'Main Pot' : `Side Pot ${i}`;
+    });
 
     // Emit event for side pot creation (skip for main pot)
     if (pot.id > 0) {
@@ -55,11 +62,19 @@ export class PotManager extends EventEmitter {
   }
 
   /**
-   * Add dead money to the main pot (e.g., dead small blind)
+   * Add dead money to the main pot (e.g., dead small blind or antes)
+   * A per-player ante is tracked as that player's contribution so side pots
+   * are sized correctly when someone can only cover part of it.
    * @param {number} amount - Amount to add
+   * @param {Player} [player] - Player whose share of the pot this counts toward
    */
-  addDeadMoney(amount) {
+  addDeadMoney(amount, player = null) {
     const intAmount = ensureInteger(amount, 'dead money');
+    if (player) {
+      this.addToPot(player, intAmount);
+      return;
+    }
+
     const mainPot = this.pots[0];
     if (mainPot) {
       mainPot.amount += intAmount;
@@ -128,41 +143,118 @@ export class PotManager extends EventEmitter {
 
   /**
    * Handle when a player goes all-in
-   * This may create side pots
+   * Splits the pot that the player's total contribution falls into, so they can
+   * only win what they matched. Works for several all-ins in the same round,
+   * in any order.
    * @param {Player} player - Player going all-in
-   * @param {number} totalAmount - Total amount they're putting in (including previous bets)
+   * @param {number} totalAmount - Total amount they have put in this hand
    */
   handleAllIn(player, totalAmount) {
-    // Find the active pot this player can contribute to
-    const activePot = this.getActivePot();
-    if (!activePot || !activePot.canAcceptFrom(player)) {
-      return;
+    const allInLevel = ensureInteger(totalAmount, 'all-in amount');
+
+    // Find the first pot the player's contribution does not fully cover
+    let level = 0;
+    let index = 0;
+    for (; index < this.pots.length; index++) {
+      const cap = this.pots[index].maxContributionPerPlayer;
+      if (cap === null || allInLevel < level + cap) {
+        break;
+      }
+      level += cap;
     }
 
-    // The player's total contribution for this betting round
-    const currentPotContribution = activePot.getPlayerContribution(player);
-    const maxContributionThisRound = totalAmount;
-
-    // Cap the active pot at this player's maximum contribution
-    if (activePot.isActive && maxContributionThisRound > currentPotContribution) {
-      activePot.cap(maxContributionThisRound);
+    let firstPotAbove = index;
+    const splitAt = allInLevel - level;
 
-      // Create a side pot for remaining active players (excluding this all-in player)
-      const stillActivePlayers = activePot.eligiblePlayers.filter(
-        (p) => p.id !== player.id && p.state === 'ACTIVE'
+    // A player all-in on dead money alone still contests the dead money in the main pot
+    if (index < this.pots.length && (splitAt > 0 || allInLevel === 0)) {
+      // Everyone else still contesting this pot can keep betting into the side pot
+      const sidePotPlayers = this.pots[index].eligiblePlayers.filter(
+        (p) => p.id !== player.id && p.state !== PlayerState.FOLDED
       );
 
-      // Create side pot based on the situation:
-      // - Always create if 2+ players remain
-      // - For heads-up game (total 2 players), create even with 1 remaining player
-      const isHeadsUpGame = this.players.length === 2;
-      const shouldCreateSidePot =
-        stillActivePlayers.length >= 2 || (stillActivePlayers.length === 1 && isHeadsUpGame);
+      if (sidePotPlayers.length > 0) {
+        this.splitPot(index, splitAt, sidePotPlayers);
+      }
+      firstPotAbove = index + 1;
+    }
+
+    // The player cannot win anything above their all-in level
+    for (const pot of this.pots.slice(firstPotAbove)) {
+      pot.eligiblePlayers = pot.eligiblePlayers.filter((p) => p.id !== player.id);
+    }
+  }
 
-      if (shouldCreateSidePot) {
-        this.createPot(stillActivePlayers);
+  /**
+   * Split a pot at a per-player contribution level
+   * Contributions above the level move into a new side pot placed right after it
+   * @param {number} index - Index of the pot to split
+   * @param {number} splitAt - Per-player contribution level to cap the pot at
+   * @param {Player[]} sidePotPlayers - Players eligible for the new side pot
+   * @returns {Pot} The new side pot
+   */
+  splitPot(index, splitAt, sidePotPlayers) {
+    const pot = this.pots[index];
+    const sidePot = this.createPot(sidePotPlayers, index + 1);
+
+    for (const [contributor, amount] of pot.contributions) {
+      if (amount > splitAt) {
+        const excess = amount - splitAt;
+        pot.contributions.set(contributor, splitAt);
+        pot.amount -= excess;
+        sidePot.contributions.set(contributor, excess);
+        sidePot.amount += excess;
       }
     }
+
+    // A pot that was already capped keeps its upper bound across both halves
+    if (pot.maxContributionPerPlayer !== null) {
+      sidePot.cap(pot.maxContributionPerPlayer - splitAt);
+    }
+    pot.cap(splitAt);
+
+    return sidePot;
+  }
+
+  /**
+   * Take back the unmatched part of a player's bet from the pots
+   * Chips come out of the highest pots first, and side pots emptied by the
+   * refund are removed
+   * @param {Player} player - Player whose bet was not called
+   * @param {number} amount - Amount to return
+   * @returns {number} Amount actually removed from the pots
+   */
+  returnUncalledBet(player, amount) {
+    const intAmount = ensureInteger(amount, 'uncalled bet');
+    let remaining = intAmount;
+
+    for (let i = this.pots.length - 1; i >= 0 && remaining > 0; i--) {
+      const pot = this.pots[i];
+      const contributed = pot.getPlayerContribution(player);
+      const refund = Math.min(contributed, remaining);
+
+      if (refund > 0) {
+        pot.contributions.set(player, contributed - refund);
+        pot.amount -= refund;
+        remaining -= refund;
+
+        this.emit('pot:updated', {
+          potId: pot.id,
+          potName: pot.name,
+          total: pot.amount,
+          returned: {
+            playerId: player.id,
+            amount: refund,
+          },
+        });
+      }
+    }
+
+    while (this.pots.length > 1 && this.pots[this.pots.length - 1].amount === 0) {
+      this.pots.pop();
+    }
+
+    return intAmount - remaining;
   }
 
   /**
@@ -187,15 +279,21 @@ export class PotManager extends EventEmitter {
   }
 
   /**
-   * Calculate payouts for winners
-   * @param {Array} allPlayerHands - Array of player hand objects with player, hand, and cards info
-   * @returns {Map<Player, number>} Map of player to payout amount
+   * Award each pot separately to the best eligible hand(s)
+   * Hands should be ordered from the first seat left of the button so that
+   * odd chips go to the earliest winner in position
+   * @param {Array} allPlayerHands - Array of player hand objects with player and cards info
+   * @returns {Array} Per-pot breakdown with pot name, amount, eligible players and winners
    */
-  calculatePayouts(allPlayerHands) {
-    const payouts = new Map();
+  calculatePotAwards(allPlayerHands) {
+    const awards = [];
 
     // Process each pot separately
     for (const pot of this.pots) {
+      if (pot.amount === 0) {
+        continue;
+      }
+
       // Find players eligible for this pot who are still in the hand
       let eligibleHands = allPlayerHands.filter((ph) =>
         pot.eligiblePlayers.some((ep) => ep.id === ph.player.id)
@@ -210,6 +308,7 @@ export class PotManager extends EventEmitter {
       // Find the best hand(s) among eligible players for this pot
       // Use LowballHandEvaluator to compare hands properly
       const bestHands = LowballHandEvaluator.findWinners(eligibleHands);
+      const winners = [];
 
       // Distribute this pot among the winners
       if (bestHands.length > 0) {
@@ -225,10 +324,35 @@ export class PotManager extends EventEmitter {
             remainder--;
           }
 
-          const currentPayout = payouts.get(winner.player) || 0;
-          payouts.set(winner.player, currentPayout + winAmount);
+          winners.push({ player: winner.player, playerId: winner.player.id, amount: winAmount });
         }
       }
+
+      awards.push({
+        potId: pot.id,
+        potName: pot.name,
+        amount: pot.amount,
+        eligiblePlayers: eligibleHands.map((ph) => ph.player.id),
+        winners,
+      });
+    }
+
+    return awards;
+  }
+
+  /**
+   * Calculate payouts for winners
+   * @param {Array} allPlayerHands - Array of player hand objects with player, hand, and cards info
+   * @returns {Map<Player, number>} Map of player to payout amount
+   */
+  calculatePayouts(allPlayerHands) {
+    const payouts = new Map();
+
+    for (const award of this.calculatePotAwards(allPlayerHands)) {
+      for (const winner of award.winners) {
+        const currentPayout = payouts.get(winner.player) || 0;
+        payouts.set(winner.player, currentPayout + winner.amount);
+      }
     }
 
     return payouts;
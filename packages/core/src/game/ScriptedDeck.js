@@ -0,0 +1,165 @@
+import { Deck } from './Deck.js';
+
+/**
+ * Split a card list like "7h 5d 4c 3s 2h" (or an array of such lists or cards) into cards
+ */
+const toCardStrings = (cards) => {
+  if (typeof cards === 'string') {
+    return cards.split(/[\s,]+/).filter(Boolean);
+  }
+  if (Array.isArray(cards)) {
+    return cards.flatMap((card) => toCardStrings(String(card)));
+  }
+  throw new Error('ScriptedDeck cards must be a string like "7h 5d 4c" or an array of cards');
+};
+
+/**
+ * Deck that deals cards in a scripted order, for tests and demos
+ *
+ * Give either the whole `stub` order, or the initial `deal` (five cards per
+ * player, in the order the engine deals) and each draw's replacement cards in
+ * `draws`. Cards the script leaves out follow in a fixed order. A draw's cards
+ * are held out of the stub until that draw, so burns, earlier draws and
+ * reshuffles never deal them. The engine's shuffle keeps the script; later
+ * shuffles of the discards use the next order in `reshuffles` (without the
+ * held cards), or leave the returned discards in the order they were thrown.
+ *
+ * @example
+ * new ScriptedDeck({
+ *   deal: '7h 5d 4c 3s 2h  Kh Kd Qc Js 9h',
+ *   draws: ['8c', null, 'Ah Ad'], // The second draw deals from the stub
+ * });
+ */
+export class ScriptedDeck extends Deck {
+  /**
+   * @param {Object|string|string[]} script - Script, or the stub order on its own
+   * @param {string|string[]} [script.stub] - Card order from the top of the deck
+   * @param {string|string[]} [script.deal] - Cards for the initial deal, hand by hand
+   * @param {Array<string|string[]|null>} [script.draws] - Replacement cards for each draw;
+   *   null leaves that draw unscripted
+   * @param {Array<string|string[]|null>} [script.reshuffles] - Stub order after each reshuffle;
+   *   null leaves that one as it is
+   */
+  constructor(script = {}) {
+    super();
+    const {
+      stub,
+      deal,
+      draws = [],
+      reshuffles = [],
+    } = typeof script === 'string' || Array.isArray(script) ? { stub: script } : script;
+    if (stub && (deal || draws.length > 0)) {
+      throw new Error('ScriptedDeck takes a stub order or a deal and draws, not both');
+    }
+
+    this.deal = deal ? toCardStrings(deal) : null;
+    if (this.deal && this.deal.length % 5 !== 0) {
+      throw new Error(`ScriptedDeck deal must be 5 cards per hand, got ${this.deal.length}`);
+    }
+    this.draws = draws.map((cards) => cards && toCardStrings(cards));
+    this.stub = stub ? toCardStrings(stub) : this.deal || [];
+    this.reshuffles = reshuffles.map((order) => order && toCardStrings(order));
+    const drawCards = this.draws.filter(Boolean).flat();
+    this.validate([[...this.stub, ...drawCards], ...this.reshuffles.filter(Boolean)]);
+    this.reset();
+  }
+
+  /**
+   * Check that every scripted card is a real card and none is scripted twice
+   */
+  validate(orders) {
+    const cards = new Set(new Deck().cards.map(String));
+    for (const order of orders) {
+      const seen = new Set();
+      for (const str of order) {
+        if (!cards.has(str)) {
+          throw new Error(`ScriptedDeck has an invalid card: ${str}`);
+        }
+        if (seen.has(str)) {
+          throw new Error(`ScriptedDeck has a duplicate card: ${str}`);
+        }
+        seen.add(str);
+      }
+    }
+  }
+
+  /**
+   * Look up cards in the deck by their strings
+   * @param {string[]} strings - Card strings
+   * @returns {Object[]} The cards
+   */
+  findCards(strings) {
+    return strings.map((str) => {
+      const card = this.cards.find((c) => c.toString() === str);
+      if (!card) {
+        throw new Error(`ScriptedDeck card ${str} is not in the stub`);
+      }
+      return card;
+    });
+  }
+
+  reset() {
+    super.reset();
+    if (!this.stub) return;
+    const top = this.findCards(this.stub);
+    this.held = this.draws.map((cards) => (cards ? this.findCards(cards) : []));
+    const held = this.held.flat();
+    const rest = this.cards.filter((card) => !top.includes(card) && !held.includes(card));
+    this.cards = [...top, ...rest];
+    this.pendingReshuffles = [...this.reshuffles];
+    this.handsDealt = 0;
+    this.drawNumber = 0;
+    this.roundCards = null;
+    this.roundDealt = 0;
+    this.shuffled = false;
+  }
+
+  shuffle() {
+    // The first shuffle starts the hand and keeps the script
+    if (!this.shuffled) {
+      this.shuffled = true;
+      return;
+    }
+    const order = this.pendingReshuffles.shift();
+    if (order) {
+      const cards = this.findCards(order);
+      if (cards.length !== this.cards.length) {
+        throw new Error(
+          `ScriptedDeck reshuffle has ${cards.length} cards, but the stub has ${this.cards.length}`
+        );
+      }
+      this.cards = cards;
+    }
+  }
+
+  dealHand(count = 5) {
+    this.handsDealt++;
+    if (this.deal && this.handsDealt * count > this.deal.length) {
+      const scripted = this.deal.length / count;
+      throw new Error(`ScriptedDeck deal has ${scripted} hands, but ${this.handsDealt} were dealt`);
+    }
+    return super.dealHand(count);
+  }
+
+  beginDraw(drawNumber) {
+    // Bring this draw's held cards onto the top of the stub
+    this.drawNumber = drawNumber;
+    this.roundCards = this.draws[drawNumber - 1] ?? null;
+    this.roundDealt = 0;
+    if (this.roundCards) {
+      this.cards = [...this.held[drawNumber - 1], ...this.cards];
+      this.held[drawNumber - 1] = [];
+    }
+  }
+
+  dealReplacements(count) {
+    this.roundDealt += count;
+    if (this.roundCards && this.roundDealt > this.roundCards.length) {
+      throw new Error(
+        `ScriptedDeck draw ${this.drawNumber} has ${this.roundCards.length} cards, ` +
+          `but ${this.roundDealt} were dealt`
+      );
+    }
+    return super.dealReplacements(count);
+  }
+}
@@ -1,12 +1,21 @@
-import { GamePhase, PlayerState, Action } from '../types/index.js';
+import { GamePhase, PlayerState, Action, HistoryAction } from '../types/index.js';
 import { WildcardEventEmitter } from '../base/WildcardEventEmitter.js';
 import { Player } from '../Player.js';
-import { validateIntegerAmount, ensureInteger } from '../utils/validation.js';
+import {
+  validateIntegerAmount,
+  ensureInteger,
+  validateBettingStructure,
+  validateDrawAction,
+  InvalidDrawError,
+} from '../utils/validation.js';
+import { createRng } from '../utils/rng.js';
 // import { monitor } from '../utils/monitoring.js';
-import { DEFAULT_CONFIG } from '../constants.js';
+import { DEFAULT_CONFIG, Limits, AnteTypes, InvalidDrawPolicy, DefaultDraw } from '../constants.js';
 import { LowballHandEvaluator } from './LowballHandEvaluator.js';
 import { PotManager } from './PotManager.js';
 import { Deck } from './Deck.js';
+import { adaptDeck } from './HoldemDeckAdapter.js';
+import { suggestDiscards } from './discardStrategy.js';
 
 /**
  * Core game engine that handles 2-7 Triple Draw game logic
@@ -27,6 +36,56 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
       ...config,
     };
 
+    // Fixed-limit bet sizes: small bet for the first two rounds, big bet for the last two
+    this.config.smallBet = validateIntegerAmount(
+      config.smallBet ?? this.config.betLimit,
+      'small bet'
+    );
+    this.config.bigBet = validateIntegerAmount(
+      config.bigBet ?? this.config.smallBet * 2,
+      'big bet'
+    );
+    this.config.betSchedule = {
+      [GamePhase.PRE_DRAW]: this.config.smallBet,
+      [GamePhase.POST_FIRST_DRAW]: this.config.smallBet,
+      [GamePhase.POST_SECOND_DRAW]: this.config.bigBet,
+      [GamePhase.POST_THIRD_DRAW]: this.config.bigBet,
+    };
+    for (const [phase, size] of Object.entries(config.betSchedule || {})) {
+      this.config.betSchedule[phase] = validateIntegerAmount(size, `${phase} bet size`);
+    }
+
+    // limitBetting stays in sync with the structure for code that only checks the flag
+    this.config.bettingStructure = validateBettingStructure(
+      config.bettingStructure,
+      config.limitBetting
+    );
+    this.config.limitBetting = this.config.bettingStructure === Limits.FIXED_LIMIT;
+
+    this.config.ante = validateIntegerAmount(config.ante ?? 0, 'ante');
+    this.config.anteType = config.anteType ?? AnteTypes.PER_PLAYER;
+    if (!Object.values(AnteTypes).includes(this.config.anteType)) {
+      throw new Error(`Unknown ante type: ${this.config.anteType}`);
+    }
+
+    this.config.burnBeforeDraw = config.burnBeforeDraw ?? false; // Burn before each draw's cards
+    this.config.reshuffleBurns = config.reshuffleBurns ?? false; // House rule: burns join discards
+
+    this.config.invalidDrawPolicy = config.invalidDrawPolicy ?? InvalidDrawPolicy.DEFAULT;
+    if (!Object.values(InvalidDrawPolicy).includes(this.config.invalidDrawPolicy)) {
+      throw new Error(`Unknown invalid draw policy: ${this.config.invalidDrawPolicy}`);
+    }
+    this.config.maxDrawAttempts = config.maxDrawAttempts ?? DEFAULT_CONFIG.MAX_DRAW_ATTEMPTS;
+    if (!Number.isSafeInteger(this.config.maxDrawAttempts) || this.config.maxDrawAttempts < 1) {
+      throw new Error(
+        `maxDrawAttempts must be a positive whole number, got ${this.config.maxDrawAttempts}`
+      );
+    }
+    this.config.defaultDraw = config.defaultDraw ?? DefaultDraw.STAND_PAT;
+    if (!Object.values(DefaultDraw).includes(this.config.defaultDraw)) {
+      throw new Error(`Unknown default draw: ${this.config.defaultDraw}`);
+    }
+
     // Players are the single source of truth
     this.players = config.players.map((p) => {
       if (p instanceof Player) {
@@ -43,22 +102,31 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     this.deck = null;
     this.potManager = null;
     this.currentPlayerIndex = 0;
+    this.rng = createRng(config); // Shuffles the deck; rng.seed is only published on hand:ended
     this.dealerButtonIndex =
       config.dealerButton !== undefined
         ? config.dealerButton
-        : Math.floor(Math.random() * this.players.length);
+        : this.rng.nextInt(this.players.length);
 
     // Triple-draw specific properties
     this.drawsRemaining = 3;
     this.playerHands = new Map(); // Store each player's 5-card hand
     this.drawRequests = new Map(); // Store draw requests for current draw phase
-    this.discardPile = []; // Cards that have been discarded
+    this.drawHistory = []; // Public record of how many cards each player took per draw
+    this.actionHistory = []; // Ordered log of everything that happened in the hand
+    this.seatNumbers = config.seatNumbers || this.players.map((_, index) => index);
+    this.deckOrder = null; // Card order after this hand's shuffle
+    this.reshuffleOrders = []; // Stub order after each reshuffle of the discards
+    this.burns = []; // Card burned before each draw; secret like the deck order
+    this.drawDiscards = []; // Hand positions each draw threw, for replays; also secret
 
     // Betting tracking
     this.roundBets = new Map();
     this.lastRaiser = null;
     this.bettingCapped = false; // For limit games, track if betting is capped
     this.raisesInRound = 0; // Count raises in current betting round
+    this.lastRaiseSize = 0; // Minimum raise increment for no-limit and pot-limit
+    this.betFacedWhenActed = new Map(); // Bet level each player last acted on, for reopening
 
     // Dead button support
     this.buttonPlayerIndex = config.buttonPlayerIndex;
@@ -67,7 +135,7 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     this.isDeadButton = config.isDeadButton || false;
     this.isDeadSmallBlind = config.isDeadSmallBlind || false;
 
-    this.deck = config.deck || null;
+    this.deck = config.deck ? adaptDeck(config.deck) : null;
     this.simulationMode = config.simulationMode === true;
   }
 
@@ -99,17 +167,24 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     this.drawsRemaining = 3;
     this.playerHands.clear();
     this.drawRequests.clear();
-    this.discardPile = [];
+    this.drawHistory = [];
+    this.actionHistory = [];
 
     // Use provided deck instance or create new one
     if (!this.deck) {
       this.deck = new Deck();
     }
     this.deck.reset();
-    this.deck.shuffle();
+    this.deck.shuffle(this.rng);
+    // Secret like the hands themselves; kept so the hand can be replayed without a seed
+    this.deckOrder = this.deck.cards ? this.deck.cards.map(String) : null;
+    this.reshuffleOrders = [];
+    this.burns = [];
+    this.drawDiscards = [];
 
     // Initialize pot manager
     this.potManager = new PotManager(this.players);
+    this.potManager.on('sidepot:created', (data) => this.emit('sidepot:created', data));
 
     // Reset player states
     this.players.forEach((player) => {
@@ -123,11 +198,10 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     // Deal initial hands (5 cards each)
     this.dealInitialHands();
 
-    // Post blinds
-    this.postBlinds();
-
-    // Set initial phase
+    // Forced bets belong to the first betting round, antes before the blinds
     this.phase = GamePhase.PRE_DRAW;
+    this.postAntes();
+    this.postBlinds();
   }
 
   /**
@@ -136,7 +210,7 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
   dealInitialHands() {
     for (const player of this.players) {
       if (player.state === PlayerState.ACTIVE) {
-        const hand = this.deck.drawMultiple(DEFAULT_CONFIG.CARDS_PER_HAND);
+        const hand = this.deck.dealHand(DEFAULT_CONFIG.CARDS_PER_HAND);
         this.playerHands.set(player.id, hand);
 
         // Notify player of their cards
@@ -151,22 +225,83 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
   }
 
   /**
-   * Post blinds at the start of a hand
+   * Post antes at the start of a hand
+   * Per-player antes count toward each player's share of the pot. A big blind
+   * or button ante is one player's dead money covering the whole table.
    */
-  postBlinds() {
-    const activePlayers = this.players.filter((p) => p.state === PlayerState.ACTIVE);
+  postAntes() {
+    const { ante, anteType } = this.config;
+    if (ante === 0) {
+      return;
+    }
 
-    if (activePlayers.length < 2) {
-      throw new Error('Not enough active players to post blinds');
+    if (anteType === AnteTypes.PER_PLAYER) {
+      this.players
+        .filter((p) => p.state === PlayerState.ACTIVE)
+        .forEach((player) => this.postAnte(player, ante));
+      return;
+    }
+
+    // Nobody sits on a dead button to post its ante
+    if (anteType === AnteTypes.BUTTON && this.isDeadButton) {
+      return;
+    }
+
+    const index =
+      anteType === AnteTypes.BIG_BLIND ? this.getBlindPositions().bbIndex : this.dealerButtonIndex;
+    const player = this.players[index];
+
+    // A short big blind posts the blind first and only antes what is left over
+    const reserved =
+      anteType === AnteTypes.BIG_BLIND && !this.config.allowNegativeChips
+        ? this.config.bigBlind
+        : 0;
+    const amount = this.config.allowNegativeChips
+      ? ante
+      : Math.min(ante, Math.max(0, player.chips - reserved));
+
+    this.postAnte(player, amount);
+  }
+
+  /**
+   * Post a single ante, capped at the player's stack
+   * @param {Player} player - Player posting the ante
+   * @param {number} amount - Ante amount
+   */
+  postAnte(player, amount) {
+    const posted = this.takeChips(player, amount);
+    if (posted === 0) {
+      return;
     }
 
-    // Calculate blind positions
+    const { anteType } = this.config;
+    this.potManager.addDeadMoney(posted, anteType === AnteTypes.PER_PLAYER ? player : null);
+
+    if (player.chips === 0) {
+      player.state = PlayerState.ALL_IN;
+      this.potManager.handleAllIn(player, this.potManager.getTotalContribution(player));
+    }
+
+    this.recordAction(player, HistoryAction.ANTE, posted);
+    this.emit('ante:posted', {
+      playerId: player.id,
+      amount: posted,
+      type: anteType,
+    });
+  }
+
+  /**
+   * Seat indices of the small and big blind for this hand
+   * @returns {{sbIndex: number|null, bbIndex: number}} sbIndex is null for a dead small blind
+   */
+  getBlindPositions() {
     let sbIndex, bbIndex;
 
-    if (this.isDeadButton) {
-      sbIndex = this.smallBlindPlayerIndex;
+    if (this.bigBlindPlayerIndex !== undefined) {
+      // Seats chosen by the table's dead-button rule; a dead small blind is not posted
+      sbIndex = this.isDeadSmallBlind ? null : this.smallBlindPlayerIndex;
       bbIndex = this.bigBlindPlayerIndex;
-    } else if (activePlayers.length === 2) {
+    } else if (this.players.length === 2) {
       // Heads up: dealer posts small blind
       sbIndex = this.dealerButtonIndex;
       bbIndex = (this.dealerButtonIndex + 1) % this.players.length;
@@ -176,56 +311,94 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
       bbIndex = (this.dealerButtonIndex + 2) % this.players.length;
     }
 
-    // Post small blind
-    const sbPlayer = this.players[sbIndex];
-    const sbAmount = this.config.allowNegativeChips
-      ? this.config.smallBlind
-      : Math.min(sbPlayer.chips, this.config.smallBlind);
+    return { sbIndex, bbIndex };
+  }
 
-    // Directly manipulate _chips to bypass the setter's validation when allowing negative
-    if (this.config.allowNegativeChips) {
-      sbPlayer._chips = (sbPlayer._chips || 0) - sbAmount;
-    } else {
-      sbPlayer.chips -= sbAmount;
+  /**
+   * Post blinds at the start of a hand
+   */
+  postBlinds() {
+    if (this.getPlayersInHand().length < 2) {
+      throw new Error('Not enough active players to post blinds');
     }
 
-    sbPlayer.bet = sbAmount;
-    this.potManager.addToPot(sbPlayer, sbAmount);
+    const { sbIndex, bbIndex } = this.getBlindPositions();
 
-    this.emit('blind:posted', {
-      playerId: sbPlayer.id,
-      amount: sbAmount,
-      type: 'small',
-    });
+    // Post small blind, unless it is dead, blinds are zero or the ante took the whole stack
+    if (sbIndex !== null) {
+      const sbPlayer = this.players[sbIndex];
+      const sbAmount = this.commitChips(sbPlayer, this.config.smallBlind);
+
+      if (sbAmount > 0) {
+        this.recordAction(sbPlayer, HistoryAction.SMALL_BLIND, sbAmount);
+        this.emit('blind:posted', {
+          playerId: sbPlayer.id,
+          amount: sbAmount,
+          type: 'small',
+        });
+      }
+    }
 
     // Post big blind
     const bbPlayer = this.players[bbIndex];
-    const bbAmount = this.config.allowNegativeChips
-      ? this.config.bigBlind
-      : Math.min(bbPlayer.chips, this.config.bigBlind);
+    const bbAmount = this.commitChips(bbPlayer, this.config.bigBlind);
+
+    if (bbAmount > 0) {
+      bbPlayer.hasOption = true; // BB has option to raise
+      this.recordAction(bbPlayer, HistoryAction.BIG_BLIND, bbAmount);
+      this.emit('blind:posted', {
+        playerId: bbPlayer.id,
+        amount: bbAmount,
+        type: 'big',
+      });
+    }
 
-    // Directly manipulate _chips to bypass the setter's validation when allowing negative
-    if (this.config.allowNegativeChips) {
-      bbPlayer._chips = (bbPlayer._chips || 0) - bbAmount;
-    } else {
-      bbPlayer.chips -= bbAmount;
+    // Set current player (first to act pre-draw); without blinds, left of the button
+    this.currentPlayerIndex =
+      this.getCurrentBet() > 0
+        ? (bbIndex + 1) % this.players.length
+        : (this.dealerButtonIndex + 1) % this.players.length;
+  }
+
+  /**
+   * Move chips from a player's stack into the pot
+   * The amount is capped at the player's stack unless negative chips are allowed.
+   * A player who commits their last chip goes all-in, which opens side pots.
+   * @param {Player} player - Player putting chips in
+   * @param {number} amount - Amount requested
+   * @returns {number} Amount actually committed
+   */
+  commitChips(player, amount) {
+    const committed = this.takeChips(player, amount);
+
+    player.bet += committed;
+    this.potManager.addToPot(player, committed);
+
+    if (committed > 0 && player.chips === 0) {
+      player.state = PlayerState.ALL_IN;
+      this.potManager.handleAllIn(player, this.potManager.getTotalContribution(player));
     }
 
-    bbPlayer.bet = bbAmount;
-    bbPlayer.hasOption = true; // BB has option to raise
-    this.potManager.addToPot(bbPlayer, bbAmount);
+    return committed;
+  }
 
-    this.emit('blind:posted', {
-      playerId: bbPlayer.id,
-      amount: bbAmount,
-      type: 'big',
-    });
+  /**
+   * Remove chips from a player's stack
+   * @param {Player} player - Player paying
+   * @param {number} amount - Amount requested
+   * @returns {number} Amount actually taken
+   */
+  takeChips(player, amount) {
+    const taken = this.config.allowNegativeChips ? amount : Math.min(amount, player.chips);
 
-    // Set current player (first to act pre-draw)
-    this.currentPlayerIndex = (bbIndex + 1) % this.players.length;
-    while (this.players[this.currentPlayerIndex].state !== PlayerState.ACTIVE) {
-      this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
+    // Directly manipulate _chips to bypass the setter's validation when allowing negative
+    if (this.config.allowNegativeChips) {
+      player._chips = (player._chips || 0) - taken;
+    } else {
+      player.chips -= taken;
     }
+
+    return taken;
   }
 
   /**
@@ -236,6 +409,13 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     this.lastRaiser = null;
     this.bettingCapped = false;
     this.raisesInRound = 0;
+    this.lastRaiseSize = this.config.bigBlind || this.getBetSize(); // Ante-only games have no big blind
+    this.betFacedWhenActed.clear();
+
+    // After the draw, action starts with the first player left of the button
+    if (this.phase !== GamePhase.PRE_DRAW) {
+      this.currentPlayerIndex = (this.dealerButtonIndex + 1) % this.players.length;
+    }
 
     // Reset player action flags
     this.players.forEach((player) => {
@@ -256,6 +436,12 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
    * Prompt the next player for action
    */
   async promptNextPlayer() {
+    // Check if betting round is complete
+    if (this.isBettingComplete()) {
+      await this.endBettingRound();
+      return;
+    }
+
     // Find next active player
     while (this.players[this.currentPlayerIndex].state !== PlayerState.ACTIVE) {
       this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
@@ -263,29 +449,24 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
 
     const currentPlayer = this.players[this.currentPlayerIndex];
 
-    // Check if betting round is complete
-    if (this.isBettingComplete()) {
-      await this.endBettingRound();
-      return;
-    }
-
     // Get valid actions for current player
     const validActions = this.getValidActions(currentPlayer);
 
-    const gameState = this.getGameState();
-
+    // Everyone can hear this event, so it only carries the observer view
     this.emit('player:to:act', {
       playerId: currentPlayer.id,
       validActions,
       pot: this.potManager.getTotalPot(),
       currentBet: this.getCurrentBet(),
-      gameState,
+      betSize: this.getBetSize(),
+      limits: this.getBettingLimits(currentPlayer),
+      gameState: this.getGameStateFor(null),
     });
 
     // Get player action
     try {
       const action = await Promise.race([
-        currentPlayer.getAction(gameState),
+        currentPlayer.getAction(this.getGameStateFor(currentPlayer.id)),
         this.createTimeout(currentPlayer.id),
       ]);
 
@@ -301,6 +482,7 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
    */
   async handleAction(player, actionData) {
     const { action, amount } = actionData;
+    const chipsBefore = player.chips;
 
     switch (action) {
       case Action.FOLD:
@@ -316,23 +498,7 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
 
       case Action.CALL: {
         const callAmount = this.getCurrentBet() - player.bet;
-        const actualCall = this.config.allowNegativeChips
-          ? callAmount
-          : Math.min(callAmount, player.chips);
-
-        // Directly manipulate _chips to bypass the setter's validation when allowing negative
-        if (this.config.allowNegativeChips) {
-          player._chips = (player._chips || 0) - actualCall;
-        } else {
-          player.chips -= actualCall;
-        }
-
-        player.bet += actualCall;
-        this.potManager.addToPot(player, actualCall);
-
-        if (player.chips <= 0 && !this.config.allowNegativeChips) {
-          player.state = PlayerState.ALL_IN;
-        }
+        const actualCall = this.commitChips(player, callAmount);
 
         this.emit('player:called', {
           playerId: player.id,
@@ -345,53 +511,69 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
       case Action.RAISE: {
         const raiseAmount = ensureInteger(amount, 'raise amount');
 
+        if (!this.canRaise(player)) {
+          throw new Error('Betting was not reopened; only call or fold is allowed');
+        }
+
         if (this.config.limitBetting) {
           // Enforce limit betting rules
           if (this.raisesInRound >= 4) {
             throw new Error('Betting is capped in this round');
           }
-          if (raiseAmount !== this.config.betLimit) {
-            throw new Error(`Raise must be exactly ${this.config.betLimit}`);
+          // A short stack may raise all-in for whatever is left after calling
+          const { betSize, maxRaise } = this.getBettingLimits(player);
+          if (raiseAmount !== betSize && raiseAmount !== maxRaise) {
+            throw new Error(`Raise must be exactly ${betSize}`);
+          }
+        } else {
+          // A raise for less than the minimum is only allowed when it puts the player all-in
+          const { minRaise, maxRaise } = this.getBettingLimits(player);
+          if (raiseAmount > maxRaise) {
+            throw new Error(`Raise cannot exceed ${maxRaise}`);
+          }
+          if (raiseAmount < Math.max(minRaise, 1)) {
+            throw new Error(`Raise must be at least ${minRaise}`);
           }
         }
 
-        player.chips -= raiseAmount;
-        player.bet += raiseAmount;
-        this.potManager.addToPot(player, raiseAmount);
-
-        if (player.chips === 0) {
-          player.state = PlayerState.ALL_IN;
-        }
-
-        this.lastRaiser = player.id;
-        this.raisesInRound++;
-
-        // Cap betting after 4 raises in limit games
-        if (this.config.limitBetting && this.raisesInRound >= 4) {
-          this.bettingCapped = true;
-        }
-
-        // Reset hasActed for other players
-        this.players.forEach((p) => {
-          if (p.id !== player.id && p.state === PlayerState.ACTIVE) {
-            p.hasActed = false;
-          }
-        });
+        // The raise goes on top of whatever the player needs to call
+        const previousBet = this.getCurrentBet();
+        this.commitChips(player, previousBet - player.bet + raiseAmount);
+        // A short stack's raise is limited to what they actually had
+        const raisedBy = player.bet - previousBet;
+        this.recordRaise(player, raisedBy);
 
         this.emit(action === Action.BET ? 'player:bet' : 'player:raised', {
           playerId: player.id,
-          amount: raiseAmount,
+          amount: raisedBy,
           totalBet: player.bet,
         });
         break;
       }
 
       case Action.ALL_IN: {
-        const allInAmount = player.chips;
-        player.chips = 0;
-        player.bet += allInAmount;
-        player.state = PlayerState.ALL_IN;
-        this.potManager.addToPot(player, allInAmount);
+        const { toCall, maxRaise } = this.getBettingLimits(player);
+        const raisePart = player.chips - toCall;
+        if (raisePart > maxRaise) {
+          throw new Error(`All-in exceeds the maximum raise of ${maxRaise}`);
+        }
+        if (raisePart > 0 && !this.canRaise(player)) {
+          throw new Error('Betting was not reopened; only call or fold is allowed');
+        }
+        // A limit shove for more than the call is a raise, so it counts against the cap
+        if (
+          raisePart > 0 &&
+          this.config.limitBetting &&
+          (this.bettingCapped || this.raisesInRound >= 4)
+        ) {
+          throw new Error('Betting is capped in this round');
+        }
+
+        const previousBet = this.getCurrentBet();
+        const allInAmount = this.commitChips(player, player.chips);
+        if (player.bet > previousBet) {
+          this.recordRaise(player, player.bet - previousBet);
+        }
 
         this.emit('player:all-in', {
           playerId: player.id,
@@ -403,6 +585,8 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
 
     player.hasActed = true;
     player.lastAction = action;
+    this.betFacedWhenActed.set(player.id, this.getCurrentBet());
+    this.recordAction(player, action, chipsBefore - player.chips, { totalBet: player.bet });
 
     // Move to next player
     this.currentPlayerIndex = (this.currentPlayerIndex + 1) % this.players.length;
@@ -416,23 +600,51 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     this.drawRequests.clear();
 
     const drawPhase = this.getDrawPhaseName();
+    const drawNumber = 4 - this.drawsRemaining;
+    const draw = { drawNumber, phase: drawPhase, counts: {} };
+    this.drawHistory.push(draw);
 
     this.emit('draw:phase:started', {
       phase: drawPhase,
-      drawNumber: 4 - this.drawsRemaining,
+      drawNumber,
       pot: this.potManager.getTotalPot(),
     });
 
-    // Collect draw requests from all active players
-    for (const player of this.players) {
-      if (player.state === PlayerState.ACTIVE) {
-        await this.getDrawRequest(player);
+    // Collect draw requests left of the button, including all-in players
+    for (const player of this.getShowdownOrder(this.getPlayersInHand())) {
+      await this.getDrawRequest(player);
+
+      const request = this.drawRequests.get(player.id);
+      draw.counts[player.id] = request.standPat ? 0 : request.cardsToDiscard;
+      if (!request.standPat) {
+        this.drawDiscards.push({
+          actionIndex: this.actionHistory.length,
+          playerId: player.id,
+          phase: drawPhase,
+          discardIndices: [...request.discardIndices],
+        });
       }
+      // Only the count is public; which cards were thrown stays in drawDiscards
+      this.recordAction(player, request.standPat ? Action.STAND_PAT : Action.DRAW, 0, {
+        phase: drawPhase,
+        cards: draw.counts[player.id],
+      });
     }
 
     // Process all draws
+    if (this.config.burnBeforeDraw) {
+      this.burnCard(drawNumber);
+    }
+    this.deck.beginDraw(drawNumber);
     await this.processDraws();
 
+    this.emit('draw:phase:ended', {
+      phase: drawPhase,
+      drawNumber,
+      drawCounts: { ...draw.counts },
+      standingPat: Object.keys(draw.counts).filter((id) => draw.counts[id] === 0),
+    });
+
     // Move to next betting round
     this.drawsRemaining--;
     this.phase = this.getNextPhase();
@@ -446,50 +658,84 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
 
   /**
    * Get draw request from a player
+   *
+   * An invalid draw is announced with player:draw:rejected. Under the reprompt
+   * policy the player is asked again, within the same time limit, up to
+   * maxDrawAttempts times; otherwise, like on an error or timeout, the default
+   * draw applies: standing pat, or the suggested discards.
    */
   async getDrawRequest(player) {
     const hand = this.playerHands.get(player.id);
-    const gameState = this.getGameState();
+    const gameState = this.getGameStateFor(player.id);
 
     this.emit('player:drawing', {
       playerId: player.id,
       currentHand: hand.length,
     });
 
-    try {
-      const drawAction = await Promise.race([
-        player.getDrawAction ? player.getDrawAction(gameState) : { cardsToDiscard: 0 },
-        this.createTimeout(player.id),
-      ]);
-
-      const { cardsToDiscard, discardIndices } = drawAction;
-
-      if (cardsToDiscard === 0) {
-        // Standing pat
-        this.drawRequests.set(player.id, { standPat: true });
-        this.emit('player:stood-pat', { playerId: player.id });
-      } else {
-        // Validate draw request
-        if (cardsToDiscard > DEFAULT_CONFIG.MAX_DISCARD) {
-          throw new Error(`Cannot discard more than ${DEFAULT_CONFIG.MAX_DISCARD} cards`);
-        }
-
-        this.drawRequests.set(player.id, {
-          standPat: false,
-          cardsToDiscard,
-          discardIndices: discardIndices || this.getDefaultDiscardIndices(cardsToDiscard),
-        });
-
-        this.emit('player:drawing:cards', {
+    const timeout = this.createTimeout(player.id); // Shared by every attempt
+    let draw = null;
+    for (let attempt = 1; !draw; attempt++) {
+      try {
+        const drawAction = await Promise.race([
+          player.getDrawAction ? player.getDrawAction(gameState) : { cardsToDiscard: 0 },
+          timeout,
+        ]);
+        draw = validateDrawAction(drawAction, hand);
+      } catch (error) {
+        if (!(error instanceof InvalidDrawError)) break;
+
+        const reprompt =
+          this.config.invalidDrawPolicy === InvalidDrawPolicy.REPROMPT &&
+          attempt < this.config.maxDrawAttempts;
+        this.emit('player:draw:rejected', {
           playerId: player.id,
-          cardCount: cardsToDiscard,
+          phase: this.getDrawPhaseName(),
+          reason: error.reason,
+          message: error.message,
+          drawAction: this.describeRejectedDraw(error.drawAction),
+          attempt,
+          reprompt,
         });
+        if (!reprompt) break;
       }
-    } catch (error) {
-      // On error or timeout, stand pat
+    }
+
+    if (!draw && this.config.defaultDraw === DefaultDraw.SUGGESTED) {
+      const discardIndices = this.getDefaultDiscardIndices(hand);
+      draw = { cardsToDiscard: discardIndices.length, discardIndices };
+    }
+
+    if (!draw || draw.cardsToDiscard === 0) {
+      // Standing pat, by choice or after an invalid draw, error or timeout
       this.drawRequests.set(player.id, { standPat: true });
       this.emit('player:stood-pat', { playerId: player.id });
+      return;
     }
+
+    const { cardsToDiscard, discardIndices } = draw;
+    this.drawRequests.set(player.id, {
+      standPat: false,
+      cardsToDiscard,
+      discardIndices: discardIndices || this.getDefaultDiscardIndices(hand, cardsToDiscard),
+    });
+
+    this.emit('player:drawing:cards', {
+      playerId: player.id,
+      cardCount: cardsToDiscard,
+    });
+  }
+
+  /**
+   * Copy a rejected draw action for the public rejection event
+   * @param {*} drawAction - The draw action as submitted
+   * @returns {*} The action without any cards it named, which would give the hand away
+   */
+  describeRejectedDraw(drawAction) {
+    if (typeof drawAction !== 'object' || drawAction === null) return drawAction;
+    const { discardCards, ...shown } = drawAction;
+    if (!Array.isArray(discardCards)) return shown;
+    return { ...shown, discardCardCount: discardCards.length };
   }
 
   /**
@@ -508,22 +754,29 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
         for (let i = 0; i < hand.length; i++) {
           if (discardIndices.includes(i)) {
             discardedCards.push(hand[i]);
-            this.discardPile.push(hand[i]);
           } else {
             newHand.push(hand[i]);
           }
         }
 
+        this.deck.discard(discardedCards);
+
         // Draw new cards
-        const drawnCards = this.deck.drawMultiple(cardsToDiscard);
+        const drawnCards = this.drawReplacements(playerId, cardsToDiscard, discardedCards);
         newHand.push(...drawnCards);
 
         // Update player's hand
         this.playerHands.set(playerId, newHand);
 
-        // Notify player of new cards
+        // Notify player of new cards, and of exactly which ones were replaced
         const player = this.players.find((p) => p.id === playerId);
         player.receivePrivateCards(newHand);
+        player.receiveDrawResult({
+          phase: this.getDrawPhaseName(),
+          discarded: discardedCards,
+          drawn: drawnCards,
+          hand: newHand,
+        });
 
         this.emit('player:drew:cards', {
           playerId,
@@ -534,50 +787,149 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     }
   }
 
+  /**
+   * Deal a player's replacement cards, reshuffling the discards when the stub runs out
+   *
+   * The stub is dealt out first. The earlier discards are then shuffled into a
+   * new stub; the drawing player's own discards stay out of it.
+   * @param {string} playerId - Player drawing
+   * @param {number} count - Cards to deal
+   * @param {Object[]} freshDiscards - Cards the player just threw
+   * @returns {Object[]} The replacement cards
+   */
+  drawReplacements(playerId, count, freshDiscards) {
+    const remaining = this.deck.getRemaining();
+    if (remaining >= count) {
+      return this.deck.dealReplacements(count);
+    }
+
+    const available = this.countReshuffleCards(freshDiscards);
+    if (remaining + available < count) {
+      throw new Error(`Cannot draw ${count} cards, only ${remaining + available} left`);
+    }
+    const drawn = this.deck.dealReplacements(remaining);
+    this.reshuffleDiscards(playerId, freshDiscards);
+
+    return [...drawn, ...this.deck.dealReplacements(count - remaining)];
+  }
+
+  /**
+   * Count the cards a reshuffle would put back in the stub
+   * @param {Object[]} [freshDiscards] - Cards the drawing player just threw
+   * @returns {number} Earlier discards, plus burns when the house reshuffles them
+   */
+  countReshuffleCards(freshDiscards = []) {
+    const discards = this.deck.discardPile.filter((card) => !freshDiscards.includes(card));
+    return discards.length + (this.config.reshuffleBurns ? this.deck.burnPile.length : 0);
+  }
+
+  /**
+   * Shuffle the earlier discards into a new stub and announce it
+   * @param {string|null} playerId - Player drawing, or null before a burn
+   * @param {Object[]} [freshDiscards] - Cards the drawing player just threw
+   */
+  reshuffleDiscards(playerId, freshDiscards = []) {
+    const reshuffled = this.deck.reshuffleDiscards(this.rng, {
+      exclude: freshDiscards,
+      burns: this.config.reshuffleBurns,
+    });
+    this.reshuffleOrders.push(this.deck.cards ? this.deck.cards.map(String) : null);
+
+    this.emit('deck:reshuffled', {
+      phase: this.getDrawPhaseName(),
+      playerId,
+      cardsReshuffled: reshuffled.length,
+      remaining: this.deck.getRemaining(),
+    });
+  }
+
+  /**
+   * Burn the top card before a draw's replacements are dealt
+   *
+   * An empty stub is rebuilt from the discards first; with nothing to
+   * reshuffle either, there is no burn.
+   * @param {number} drawNumber - Draw about to be dealt, from 1
+   */
+  burnCard(drawNumber) {
+    if (this.deck.getRemaining() === 0) {
+      if (this.countReshuffleCards() === 0) return;
+      this.reshuffleDiscards(null);
+    }
+    const [card] = this.deck.burn();
+    const phase = this.getDrawPhaseName();
+    this.burns.push({ drawNumber, phase, card });
+
+    // The card itself stays secret
+    this.emit('card:burned', { phase, drawNumber, remaining: this.deck.getRemaining() });
+  }
+
   /**
    * Perform showdown
    */
   async showdown() {
     this.phase = GamePhase.SHOWDOWN;
 
-    const activePlayers = this.players.filter((p) => p.state === PlayerState.ACTIVE);
+    // Nobody gets paid for chips that were never called
+    this.returnUncalledBet();
+
+    // All-in players are still contesting the pots they are eligible for
+    const contenders = this.getPlayersInHand();
+
+    // Order hands from the first seat left of the button so odd chips go to
+    // the earliest winner in position
+    const hands = this.getShowdownOrder(contenders).map((player) => ({
+      player,
+      playerId: player.id,
+      cards: this.playerHands.get(player.id),
+    }));
 
-    if (activePlayers.length === 1) {
-      // Only one player left, they win
-      const winner = activePlayers[0];
-      const pot = this.potManager.getTotalPot();
-      winner.chips += pot;
+    // Award every pot separately to the best eligible hand
+    const potAwards = this.potManager.calculatePotAwards(hands);
+    const totals = new Map();
 
+    for (const award of potAwards) {
+      for (const { player, amount } of award.winners) {
+        player.chips += amount;
+        totals.set(player.id, (totals.get(player.id) || 0) + amount);
+      }
+    }
+
+    this.potManager.clearAllPots();
+
+    const pots = potAwards.map((award) => ({
+      potId: award.potId,
+      potName: award.potName,
+      amount: award.amount,
+      eligiblePlayers: award.eligiblePlayers,
+      winners: award.winners.map(({ playerId, amount }) => ({ playerId, amount })),
+    }));
+
+    if (contenders.length === 1) {
+      // Only one player left, they win without showing
       this.emit('hand:ended', {
-        winners: [{ playerId: winner.id, amount: pot }],
+        winners: [{ playerId: contenders[0].id, amount: totals.get(contenders[0].id) || 0 }],
         showdown: false,
+        pots,
+        actionHistory: this.getActionHistory(),
+        seed: this.rng.seed ?? null,
       });
     } else {
-      // Multiple players, evaluate hands
-      const hands = activePlayers.map((player) => ({
-        playerId: player.id,
-        cards: this.playerHands.get(player.id),
-      }));
-
-      const winners = LowballHandEvaluator.findWinners(hands);
-      const pot = this.potManager.getTotalPot();
-      const splitAmount = Math.floor(pot / winners.length);
-
-      // Distribute pot
-      const winnerPayouts = winners.map((winner) => {
-        const player = this.players.find((p) => p.id === winner.playerId);
-        player.chips += splitAmount;
+      const winnerPayouts = Array.from(totals, ([playerId, amount]) => {
+        const cards = this.playerHands.get(playerId);
         return {
-          playerId: winner.playerId,
-          amount: splitAmount,
-          hand: winner.cards,
-          handDescription: LowballHandEvaluator.describeHand(winner.cards),
+          playerId,
+          amount,
+          hand: cards,
+          handDescription: LowballHandEvaluator.describeHand(cards),
         };
       });
 
       this.emit('hand:ended', {
         winners: winnerPayouts,
         showdown: true,
+        pots,
+        actionHistory: this.getActionHistory(),
+        seed: this.rng.seed ?? null,
         allHands: hands.map((h) => ({
           playerId: h.playerId,
           cards: h.cards,
@@ -589,24 +941,51 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     this.phase = GamePhase.ENDED;
   }
 
+  /**
+   * Get players still contesting the pot (active or all-in)
+   * @returns {Player[]}
+   */
+  getPlayersInHand() {
+    return this.players.filter(
+      (p) => p.state === PlayerState.ACTIVE || p.state === PlayerState.ALL_IN
+    );
+  }
+
+  /**
+   * Order players starting from the first seat left of the dealer button
+   * @param {Player[]} players - Players to order
+   * @returns {Player[]}
+   */
+  getShowdownOrder(players) {
+    const count = this.players.length;
+    const positionOf = (player) =>
+      (this.players.indexOf(player) - this.dealerButtonIndex - 1 + count) % count;
+    return [...players].sort((a, b) => positionOf(a) - positionOf(b));
+  }
+
   /**
    * Check if betting round is complete
    */
   isBettingComplete() {
     const activePlayers = this.players.filter((p) => p.state === PlayerState.ACTIVE);
+    const currentBet = this.getCurrentBet();
 
-    if (activePlayers.length <= 1) {
+    // Everyone else folded, or nobody is left who can still bet
+    if (this.getPlayersInHand().length <= 1 || activePlayers.length === 0) {
       return true;
     }
 
-    // Check if all active players have acted and matched the current bet
-    const currentBet = this.getCurrentBet();
+    // A lone active player facing only all-in opponents just needs to match the bet
+    if (activePlayers.length === 1 && activePlayers[0].bet >= currentBet) {
+      return true;
+    }
 
+    // Check if all active players have acted and matched the current bet
     for (const player of activePlayers) {
       if (!player.hasActed) {
         return false;
       }
-      if (player.bet < currentBet && player.state === PlayerState.ACTIVE) {
+      if (player.bet < currentBet) {
         return false;
       }
     }
@@ -618,6 +997,8 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
    * End the current betting round
    */
   async endBettingRound() {
+    this.returnUncalledBet();
+
     // Reset bets for next round
     this.players.forEach((player) => {
       player.bet = 0;
@@ -630,6 +1011,12 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
       pot: this.potManager.getTotalPot(),
     });
 
+    // Everyone else folded, no need to draw any further
+    if (this.getPlayersInHand().length <= 1) {
+      await this.showdown();
+      return;
+    }
+
     // Determine next phase
     if (this.phase === GamePhase.PRE_DRAW) {
       this.phase = GamePhase.FIRST_DRAW;
@@ -645,6 +1032,38 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     }
   }
 
+  /**
+   * Return the part of the top bet in this round that nobody matched
+   * Happens when everyone else folds to a bet or raise, or when an all-in
+   * player covers less than the last raise
+   * @returns {number} Amount returned
+   */
+  returnUncalledBet() {
+    const [top, next] = [...this.players].sort((a, b) => b.bet - a.bet);
+    const excess = top.bet - (next ? next.bet : 0);
+
+    if (excess <= 0) {
+      return 0;
+    }
+
+    const returned = this.potManager.returnUncalledBet(top, excess);
+    top.bet -= returned;
+    top.chips += returned;
+
+    // Chips came back, so an all-in bettor is no longer all-in
+    if (top.state === PlayerState.ALL_IN && top.chips > 0) {
+      top.state = PlayerState.ACTIVE;
+    }
+
+    this.recordAction(top, HistoryAction.UNCALLED_BET, returned);
+    this.emit('bet:returned', {
+      playerId: top.id,
+      amount: returned,
+    });
+
+    return returned;
+  }
+
   /**
    * Get current bet to match
    */
@@ -652,34 +1071,115 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     return Math.max(...this.players.map((p) => p.bet), 0);
   }
 
+  /**
+   * Size a bet or raise must reach to reopen the betting
+   * @returns {number}
+   */
+  getFullRaiseSize() {
+    return this.config.limitBetting ? this.getBetSize() : this.lastRaiseSize;
+  }
+
+  /**
+   * Whether a player may raise: either they have not acted yet, or the bet
+   * has grown by at least a full raise since they last acted
+   * @param {Player} player
+   * @returns {boolean}
+   */
+  canRaise(player) {
+    if (!this.betFacedWhenActed.has(player.id)) {
+      return true;
+    }
+    return this.getCurrentBet() - this.betFacedWhenActed.get(player.id) >= this.getFullRaiseSize();
+  }
+
+  /**
+   * Record a bet or raise. Only a full raise counts toward the cap and
+   * reopens the action; a short all-in just raises the amount to call.
+   * @param {Player} player
+   * @param {number} raiseBy - How far the raise lifted the current bet
+   */
+  recordRaise(player, raiseBy) {
+    if (raiseBy < this.getFullRaiseSize()) {
+      return;
+    }
+
+    this.lastRaiser = player.id;
+    this.raisesInRound++;
+    this.lastRaiseSize = Math.max(this.lastRaiseSize, raiseBy);
+
+    // Cap betting after 4 raises in limit games
+    if (this.config.limitBetting && this.raisesInRound >= 4) {
+      this.bettingCapped = true;
+    }
+
+    // Reset hasActed for other players
+    this.players.forEach((p) => {
+      if (p.id !== player.id && p.state === PlayerState.ACTIVE) {
+        p.hasActed = false;
+      }
+    });
+  }
+
+  /**
+   * Get the call amount and raise range for a player
+   * @param {Player} player
+   * @returns {{toCall: number, minRaise: number, maxRaise: number, betSize: number}}
+   */
+  getBettingLimits(player) {
+    const toCall = Math.max(0, this.getCurrentBet() - player.bet);
+    const betSize = this.getBetSize();
+
+    const behind = Math.max(0, player.chips - toCall);
+
+    if (this.config.bettingStructure === Limits.FIXED_LIMIT) {
+      // Players who may go negative always raise the full bet
+      const raiseSize = this.config.allowNegativeChips ? betSize : Math.min(betSize, behind);
+      return { toCall, minRaise: raiseSize, maxRaise: raiseSize, betSize };
+    }
+
+    // Pot-limit counts the pending call as part of the pot
+    const maxRaise =
+      this.config.bettingStructure === Limits.POT_LIMIT
+        ? Math.min(this.potManager.getTotalPot() + toCall, behind)
+        : behind;
+
+    return { toCall, minRaise: Math.min(this.lastRaiseSize, maxRaise), maxRaise, betSize };
+  }
+
   /**
    * Get valid actions for a player
+   * Amounts, including the round's bet size, come from getBettingLimits().
    */
   getValidActions(player) {
     const actions = [];
     const currentBet = this.getCurrentBet();
     const toCall = currentBet - player.bet;
+    const { maxRaise } = this.getBettingLimits(player);
 
     // Check if betting should be capped due to raise limit
     const isBettingCapped =
-      this.bettingCapped || (this.config.limitBetting && this.raisesInRound >= 4);
+      this.bettingCapped ||
+      (this.config.limitBetting && this.raisesInRound >= 4) ||
+      !this.canRaise(player);
 
     if (toCall === 0) {
       actions.push(Action.CHECK);
-      if (!isBettingCapped) {
+      if (!isBettingCapped && maxRaise > 0) {
         actions.push(Action.BET);
       }
     } else {
       actions.push(Action.FOLD);
-      if (player.chips >= toCall) {
+      // A short stack can still call for the rest of their chips
+      if (player.chips > 0 || this.config.allowNegativeChips) {
         actions.push(Action.CALL);
-        if (!isBettingCapped) {
-          actions.push(Action.RAISE);
-        }
+      }
+      if (!isBettingCapped && maxRaise > 0) {
+        actions.push(Action.RAISE);
       }
     }
 
-    if (player.chips > 0 && !this.config.limitBetting) {
+    // Fixed-limit and pot-limit only allow a shove that fits under the maximum raise
+    if (player.chips > 0 && player.chips - toCall <= (isBettingCapped ? 0 : maxRaise)) {
       actions.push(Action.ALL_IN);
     }
 
@@ -687,9 +1187,30 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
   }
 
   /**
-   * Get current game state
+   * Get current game state, including every player's cards
+   * Only for trusted server code; anything a player or client sees should come
+   * from getGameStateFor().
    */
   getGameState() {
+    return this.buildGameState(() => true);
+  }
+
+  /**
+   * Get the game state as one player sees it: their own cards, and only public
+   * information about everyone else
+   * @param {string|null} [viewerId] - Player to build the view for, or null for an observer
+   * @returns {GameState}
+   */
+  getGameStateFor(viewerId = null) {
+    return { ...this.buildGameState((playerId) => playerId === viewerId), viewerId };
+  }
+
+  /**
+   * Build a game state snapshot
+   * @param {function(string): boolean} canSeeCards - Whether a player's cards are visible
+   * @returns {GameState}
+   */
+  buildGameState(canSeeCards) {
     return {
       tableId: this.config.tableId,
       phase: this.phase,
@@ -708,11 +1229,19 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
 
           // Use the original p.id for Map lookup (even if it's an object)
           // but use playerId (string) for the key
+          const hand = this.playerHands.get(p.id) || [];
+          const draws = this.getDrawCounts(p.id);
+          const cardsDrawn = draws.length > 0 ? draws[draws.length - 1] : null;
+
           return [
             playerId,
             {
               id: playerId,
-              hand: this.playerHands.get(p.id) || [],
+              hand: canSeeCards(playerId) ? hand : [],
+              cardCount: hand.length,
+              draws,
+              cardsDrawn,
+              standingPat: cardsDrawn === 0,
               chips: p.chips,
               bet: p.bet,
               state: p.state,
@@ -722,28 +1251,99 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
         })
       ),
       drawsRemaining: this.drawsRemaining,
+      drawCounts: { ...this.drawHistory[this.drawHistory.length - 1]?.counts },
+      drawHistory: this.drawHistory.map((d) => ({ ...d, counts: { ...d.counts } })),
+      actionHistory: this.getActionHistory(),
       limitBetting: this.config.limitBetting,
-      betLimit: this.config.betLimit,
+      bettingStructure: this.config.bettingStructure,
+      minRaise: this.config.limitBetting ? this.getBetSize() : this.lastRaiseSize,
+      betSize: this.getBetSize(),
+      betLimit: this.getBetSize(), // Same as betSize, kept for existing bots
+      betSchedule: this.config.betSchedule,
       raisesInRound: this.raisesInRound,
     };
   }
 
+  /**
+   * Engine config that sets up this hand again for replayHand()
+   * @returns {Object} Stakes, structure and positions; no players, deck or RNG
+   */
+  getReplayConfig() {
+    const { config } = this;
+    return {
+      blinds: { small: config.smallBlind, big: config.bigBlind },
+      bettingStructure: config.bettingStructure,
+      smallBet: config.smallBet,
+      bigBet: config.bigBet,
+      betSchedule: { ...config.betSchedule },
+      ante: config.ante,
+      anteType: config.anteType,
+      dealerButton: this.dealerButtonIndex,
+      buttonFromRng: config.dealerButton === undefined, // Drawn before the shuffle
+      buttonPlayerIndex: this.buttonPlayerIndex,
+      smallBlindPlayerIndex: this.smallBlindPlayerIndex,
+      bigBlindPlayerIndex: this.bigBlindPlayerIndex,
+      isDeadButton: this.isDeadButton,
+      isDeadSmallBlind: this.isDeadSmallBlind,
+      seatNumbers: [...this.seatNumbers],
+      allowNegativeChips: config.allowNegativeChips,
+      burnBeforeDraw: config.burnBeforeDraw,
+      reshuffleBurns: config.reshuffleBurns,
+    };
+  }
+
+  /**
+   * Append an entry to the hand's action history
+   * @param {Player} player - Player the entry is about
+   * @param {Action|HistoryAction} action - What happened
+   * @param {number} amount - Chips moved into the pot, or returned for UNCALLED_BET
+   * @param {Object} [details] - Extra fields, e.g. totalBet, cards or a draw phase
+   */
+  recordAction(player, action, amount, details = {}) {
+    this.actionHistory.push({
+      action,
+      playerId: player.id,
+      seat: this.seatNumbers[this.players.indexOf(player)],
+      phase: this.phase,
+      amount,
+      ...details,
+      pot: this.potManager.getTotalPot(),
+      timestamp: Date.now(),
+    });
+  }
+
+  /**
+   * Copy of the hand's action history, oldest first
+   * @returns {PlayerAction[]}
+   */
+  getActionHistory() {
+    return this.actionHistory.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Cards a player took in each draw so far, 0 meaning they stood pat
+   * @param {string} playerId
+   * @returns {number[]}
+   */
+  getDrawCounts(playerId) {
+    return this.drawHistory
+      .map((draw) => draw.counts[playerId])
+      .filter((count) => count !== undefined);
+  }
+
   /**
    * Calculate position information
    */
   calculatePositionInfo() {
     const positions = {};
-    const activePlayers = this.players.filter((p) => p.state === PlayerState.ACTIVE);
+    const { sbIndex, bbIndex } = this.getBlindPositions();
 
-    activePlayers.forEach((player, index) => {
-      if (index === this.dealerButtonIndex) {
+    this.players.forEach((player, index) => {
+      if (index === this.dealerButtonIndex && !this.isDeadButton) {
         positions[player.id] = 'button';
-      } else if (index === (this.dealerButtonIndex + 1) % activePlayers.length) {
-        positions[player.id] = activePlayers.length === 2 ? 'big-blind' : 'small-blind';
-      } else if (
-        index === (this.dealerButtonIndex + 2) % activePlayers.length &&
-        activePlayers.length > 2
-      ) {
+      } else if (index === sbIndex) {
+        positions[player.id] = 'small-blind';
+      } else if (index === bbIndex) {
         positions[player.id] = 'big-blind';
       } else {
         positions[player.id] = `position-${index}`;
@@ -769,11 +1369,23 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
     }
   }
 
+  /**
+   * Get the fixed-limit bet size for a betting round
+   * Draw phases report the size of the betting round that follows them
+   * @param {GamePhase} [phase] - Phase to look up (defaults to the current phase)
+   * @returns {number} Bet and raise size
+   */
+  getBetSize(phase = this.phase) {
+    const round = this.config.betSchedule[phase] !== undefined ? phase : this.getNextPhase(phase);
+    return this.config.betSchedule[round] ?? this.config.smallBet;
+  }
+
   /**
    * Get the next phase after current one
+   * @param {GamePhase} [phase] - Phase to start from (defaults to the current phase)
    */
-  getNextPhase() {
-    switch (this.phase) {
+  getNextPhase(phase = this.phase) {
+    switch (phase) {
       case GamePhase.FIRST_DRAW:
         return GamePhase.POST_FIRST_DRAW;
       case GamePhase.SECOND_DRAW:
@@ -787,15 +1399,12 @@ export class TripleDrawGameEngine extends WildcardEventEmitter {
 
   /**
    * Get default discard indices (discard worst cards)
+   * @param {Object[]} hand - The player's hand
+   * @param {number} [count] - Cards the player asked to throw (default: as many as needed)
+   * @returns {number[]} Hand positions to throw
    */
-  getDefaultDiscardIndices(count) {
-    // Simple strategy: discard the first N cards
-    // In a real implementation, this could be smarter
-    const indices = [];
-    for (let i = 0; i < count; i++) {
-      indices.push(i);
-    }
-    return indices;
+  getDefaultDiscardIndices(hand, count) {
+    return suggestDiscards(hand, count);
   }
 
   /**
@@ -0,0 +1,113 @@
+import { RankValues } from '../constants.js';
+import { LowballHandEvaluator } from './LowballHandEvaluator.js';
+
+// Highest card worth keeping when drawing; anything above it is thrown
+const DEFAULT_KEEP_AT_MOST = 8;
+
+const rankOf = (card) => RankValues[LowballHandEvaluator.parseCard(card).rank];
+
+/**
+ * Ranks that would complete a straight if drawn to four kept cards
+ */
+const countStraightOuts = (ranks) => {
+  if (ranks.length !== 4 || new Set(ranks).size !== 4) return 0;
+  let outs = 0;
+  for (let rank = 2; rank <= 14; rank++) {
+    const drawn = [...ranks, rank].sort((a, b) => a - b);
+    if (!ranks.includes(rank) && LowballHandEvaluator.hasStraight(drawn)) {
+      outs++;
+    }
+  }
+  return outs;
+};
+
+/**
+ * Score the cards a player would keep; a lower score is a better low draw
+ *
+ * In order: paired cards, a made straight or flush, the ranks from the top
+ * down, then ranks that would make a straight and four cards of one suit.
+ */
+const scoreKeep = (cards) => {
+  const ranks = cards.map(rankOf).sort((a, b) => b - a);
+  const ascending = [...ranks].reverse();
+  const paired = ranks.length - new Set(ranks).size;
+  const made =
+    cards.length === 5 &&
+    (LowballHandEvaluator.hasStraight(ascending) || LowballHandEvaluator.hasFlush(cards));
+  const suits = new Set(cards.map((card) => LowballHandEvaluator.parseCard(card).suit));
+  const flushDraw = cards.length === 4 && suits.size === 1;
+  return [paired, made ? 1 : 0, ...ranks, countStraightOuts(ascending), flushDraw ? 1 : 0];
+};
+
+const compareScores = (a, b) => {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return a[i] - b[i];
+  }
+  return 0;
+};
+
+/**
+ * Every way to choose `size` of the positions 0..n-1
+ */
+const combinations = (n, size, start = 0) => {
+  if (size === 0) return [[]];
+  const result = [];
+  for (let i = start; i <= n - size; i++) {
+    for (const rest of combinations(n, size - 1, i + 1)) {
+      result.push([i, ...rest]);
+    }
+  }
+  return result;
+};
+
+/**
+ * Find the best cards to keep out of a hand
+ * @returns {{keep: number[], score: number[]}} Positions kept and their score
+ */
+const bestKeep = (hand, size) => {
+  let best = null;
+  for (const keep of combinations(hand.length, size)) {
+    const score = scoreKeep(keep.map((i) => hand[i]));
+    if (!best || compareScores(score, best.score) < 0) {
+      best = { keep, score };
+    }
+  }
+  return best;
+};
+
+/**
+ * Suggest which cards to throw from a 2-7 lowball hand
+ *
+ * Keeps the best low draw: pairs are broken, and straights and flushes are
+ * broken by throwing their highest card. Without a count, cards above
+ * `keepAtMost` are thrown too, and a made hand within it stands pat. With a
+ * count, exactly that many cards are thrown.
+ * @param {Array<Object|string>} hand - The hand, as card objects or strings like "Kd"
+ * @param {number} [count] - How many cards to throw (default: as many as the hand needs)
+ * @param {Object} [options]
+ * @param {number} [options.keepAtMost=8] - Highest rank worth keeping, e.g. 8 for an eight
+ * @returns {number[]} Positions in the hand to throw, lowest first
+ */
+export function suggestDiscards(hand, count, { keepAtMost = DEFAULT_KEEP_AT_MOST } = {}) {
+  if (!Array.isArray(hand)) {
+    throw new Error('suggestDiscards needs the hand as an array of cards');
+  }
+  if (count !== undefined && (!Number.isInteger(count) || count < 0 || count > hand.length)) {
+    throw new Error(`Cannot discard ${count} cards from a ${hand.length}-card hand`);
+  }
+
+  const throwAllBut = (keep) => hand.map((_, i) => i).filter((i) => !keep.includes(i));
+  if (count !== undefined) {
+    return throwAllBut(bestKeep(hand, hand.length - count).keep);
+  }
+
+  // Keep as many cards as make a clean low draw: unpaired, no straight or flush, none too high
+  for (let size = hand.length; size > 0; size--) {
+    const { keep, score } = bestKeep(hand, size);
+    const [paired, made, highest] = score;
+    if (paired === 0 && made === 0 && highest <= keepAtMost) {
+      return throwAllBut(keep);
+    }
+  }
+  return throwAllBut([]);
+}
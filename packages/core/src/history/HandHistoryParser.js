@@ -0,0 +1,233 @@
+import { Action, GamePhase, HistoryAction } from '../types/index.js';
+import { Limits } from '../constants.js';
+
+const STRUCTURES = {
+  Limit: Limits.FIXED_LIMIT,
+  'Pot Limit': Limits.POT_LIMIT,
+  'No Limit': Limits.NO_LIMIT,
+};
+
+// Betting round that follows each section header
+const SECTIONS = {
+  'DEALING HANDS': { phase: GamePhase.PRE_DRAW, drawPhase: null },
+  'FIRST DRAW': { phase: GamePhase.POST_FIRST_DRAW, drawPhase: 'first-draw' },
+  'SECOND DRAW': { phase: GamePhase.POST_SECOND_DRAW, drawPhase: 'second-draw' },
+  'THIRD DRAW': { phase: GamePhase.POST_THIRD_DRAW, drawPhase: 'third-draw' },
+};
+
+const HEADER = /^(.+?) Hand #(\S+?):.*Triple Draw 2-7 Lowball (No Limit|Pot Limit|Limit)\b(.*)$/;
+const TABLE = /^Table '(.+)' (\d+)-max(?: \(.+?\))? Seat #(\d+) is the button/;
+const SEAT = /^Seat (\d+): (.+?) \((\S+) in chips[^)]*\)(.*)$/;
+
+// "Name: <action>" lines, matched against the text after the colon. Money lines
+// may end in extras like "and has reached the $4 cap"
+const PLAYER_LINES = [
+  [/^posts the ante (\S+)( and is all-in)?/, HistoryAction.ANTE],
+  [/^posts small blind (\S+)( and is all-in)?/, HistoryAction.SMALL_BLIND],
+  [/^posts big blind (\S+)( and is all-in)?/, HistoryAction.BIG_BLIND],
+  [/^folds(?: \[.*\])?$/, Action.FOLD],
+  [/^checks$/, Action.CHECK],
+  [/^calls (\S+)( and is all-in)?/, Action.CALL],
+  [/^bets (\S+)( and is all-in)?/, Action.BET],
+  [/^raises (\S+) to (\S+)( and is all-in)?/, Action.RAISE],
+  [/^discards (\d+) cards?(?: \[(.*?)\])?(?: and draws \[(.*)\])?$/, Action.DRAW],
+  [/^stands pat(?: on \[.*\])?$/, Action.STAND_PAT],
+  [/^shows \[(.*?)\](?: \((.*)\))?$/, 'SHOWS'],
+  [/^mucks hand$/, 'MUCKS'],
+];
+
+const splitCards = (text) => (text ? text.trim().split(/\s+/) : []);
+
+/**
+ * Parse a single triple draw hand history
+ *
+ * Reads the PokerStars "Triple Draw 2-7 Lowball" format, both as written by
+ * HandHistoryWriter and as exported by online rooms. Players are identified by
+ * name. Cash amounts are converted to cents so every amount is an integer.
+ * Lines the parser doesn't know, like chat or players joining, are skipped.
+ *
+ * @param {string} text - Hand history text
+ * @returns {ParsedHand} Structured hand
+ */
+export function parseHandHistory(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const header = lines[0]?.match(HEADER);
+  if (!header) {
+    throw new Error(`Not a triple draw hand history: ${lines[0]}`);
+  }
+  const [, site, handId, structureName, rest] = header;
+  const stakes = rest.match(/\(([^/()]+)\/([^/()]+?)(?: [A-Z]{3})?\)/);
+  if (!stakes) {
+    throw new Error(`Hand #${handId} has no stakes in its header`);
+  }
+
+  // Cash games quote amounts like "$0.10"; keep them as integer cents
+  const scale = /[.$€£]/.test(stakes[1] + stakes[2]) ? 100 : 1;
+  const parseAmount = (value) => Math.round(parseFloat(value.replace(/[^\d.]/g, '')) * scale);
+
+  const hand = {
+    site,
+    handId,
+    bettingStructure: STRUCTURES[structureName],
+    stakes: { small: parseAmount(stakes[1]), big: parseAmount(stakes[2]) },
+    chipScale: scale,
+    startedAt: rest.split(' - ').pop().trim(),
+    tableName: null,
+    maxPlayers: null,
+    buttonSeat: null,
+    seats: [],
+    holeCards: {},
+    rounds: [],
+    showdown: false,
+    shownHands: [],
+    mucked: [],
+    collected: [],
+    totalPot: null,
+    rake: 0,
+  };
+
+  let round = { phase: GamePhase.PRE_DRAW, drawPhase: null, burn: null, draws: [], actions: [] };
+  hand.rounds.push(round);
+  let section = 'SEATS';
+
+  for (const line of lines.slice(1)) {
+    const sectionHeader = line.match(/^\*\*\* (.+) \*\*\*$/);
+    if (sectionHeader) {
+      section = sectionHeader[1];
+      const next = SECTIONS[section];
+      if (next && next.phase !== round.phase) {
+        round = { ...next, burn: null, draws: [], actions: [] };
+        hand.rounds.push(round);
+      }
+      hand.showdown ||= section === 'SHOW DOWN';
+      continue;
+    }
+
+    if (section === 'SUMMARY') {
+      const total = line.match(/^Total pot (\S+).*\| Rake (\S+)/);
+      if (total) {
+        hand.totalPot = parseAmount(total[1]);
+        hand.rake = parseAmount(total[2]);
+      }
+      continue;
+    }
+
+    const table = line.match(TABLE);
+    if (table) {
+      hand.tableName = table[1];
+      hand.maxPlayers = Number(table[2]);
+      hand.buttonSeat = Number(table[3]);
+      continue;
+    }
+
+    const seat = section === 'SEATS' && line.match(SEAT);
+    if (seat) {
+      hand.seats.push({
+        seat: Number(seat[1]),
+        name: seat[2],
+        chips: parseAmount(seat[3]),
+        sittingOut: /sitting out/.test(seat[4]),
+      });
+      continue;
+    }
+
+    const dealt = line.match(/^Dealt to (.+?)(?: \[(.*?)\])?(?: \[(.*?)\])?$/);
+    if (dealt) {
+      const [, name, cards, newCards] = dealt;
+      if (newCards !== undefined) {
+        // After a draw: "[kept] [new]"
+        const draw = round.draws.findLast((d) => d.player === name);
+        if (draw) draw.drawn = splitCards(newCards);
+      } else if (cards !== undefined && !hand.holeCards[name]) {
+        hand.holeCards[name] = splitCards(cards);
+      }
+      continue;
+    }
+
+    // Written by HandHistoryWriter for tables that burn before each draw
+    const burn = line.match(/^Dealer burns a card(?: \[(\S+)\])?$/);
+    if (burn) {
+      round.burn = { card: burn[1] ?? null };
+      continue;
+    }
+
+    const uncalled = line.match(/^Uncalled bet \((\S+)\) returned to (.+)$/);
+    if (uncalled) {
+      round.actions.push({
+        player: uncalled[2],
+        action: HistoryAction.UNCALLED_BET,
+        amount: parseAmount(uncalled[1]),
+      });
+      continue;
+    }
+
+    const collected = line.match(/^(.+) collected (\S+) from (pot|main pot|side pot(?:-\d+)?)$/);
+    if (collected) {
+      hand.collected.push({
+        player: collected[1],
+        amount: parseAmount(collected[2]),
+        pot: collected[3],
+      });
+      continue;
+    }
+
+    const separator = line.indexOf(': ');
+    if (separator === -1) continue;
+    const player = line.slice(0, separator);
+    const said = line.slice(separator + 2);
+
+    for (const [pattern, action] of PLAYER_LINES) {
+      const match = said.match(pattern);
+      if (!match) continue;
+
+      if (action === Action.DRAW || action === Action.STAND_PAT) {
+        const count = action === Action.DRAW ? Number(match[1]) : 0;
+        round.draws.push({
+          player,
+          count,
+          discarded: match[2] !== undefined ? splitCards(match[2]) : null,
+          drawn: match[3] !== undefined ? splitCards(match[3]) : null,
+        });
+      } else if (action === 'SHOWS') {
+        hand.shownHands.push({ player, cards: splitCards(match[1]), description: match[2] });
+      } else if (action === 'MUCKS') {
+        hand.mucked.push(player);
+      } else if (action === Action.RAISE) {
+        round.actions.push({
+          player,
+          action,
+          amount: parseAmount(match[1]),
+          totalBet: parseAmount(match[2]),
+          allIn: Boolean(match[3]),
+        });
+      } else {
+        round.actions.push({
+          player,
+          action,
+          ...(match[1] !== undefined && { amount: parseAmount(match[1]) }),
+          allIn: Boolean(match[2]),
+        });
+      }
+      break;
+    }
+  }
+
+  return hand;
+}
+
+/**
+ * Parse a file of hand histories separated by blank lines
+ * @param {string} text - One or more hand histories
+ * @returns {ParsedHand[]}
+ */
+export function parseHandHistories(text) {
+  return text
+    .split(/\r?\n\s*\r?\n(?=\s*\S+.* Hand #)/)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean)
+    .map((chunk) => parseHandHistory(chunk));
+}
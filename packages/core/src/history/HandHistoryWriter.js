@@ -0,0 +1,291 @@
+import { EventEmitter } from 'eventemitter3';
+import { Action, GamePhase, HistoryAction } from '../types/index.js';
+import { Limits } from '../constants.js';
+import { HandRecorder } from './HandRecorder.js';
+
+const STRUCTURE_NAMES = {
+  [Limits.FIXED_LIMIT]: 'Limit',
+  [Limits.POT_LIMIT]: 'Pot Limit',
+  [Limits.NO_LIMIT]: 'No Limit',
+};
+
+const DRAW_HEADERS = {
+  'first-draw': 'FIRST DRAW',
+  'second-draw': 'SECOND DRAW',
+  'third-draw': 'THIRD DRAW',
+};
+
+const FOLDED_WHEN = {
+  [GamePhase.PRE_DRAW]: 'before the Draw',
+  [GamePhase.POST_FIRST_DRAW]: 'after the 1st Draw',
+  [GamePhase.POST_SECOND_DRAW]: 'after the 2nd Draw',
+  [GamePhase.POST_THIRD_DRAW]: 'after the 3rd Draw',
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatDate = (date) =>
+  `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())} ` +
+  `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} UTC`;
+
+const formatCards = (cards) => `[${cards.join(' ')}]`;
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Writes PokerStars-style "Triple Draw 2-7 Lowball" hand histories for every
+ * hand played at a Table
+ *
+ * A full history shows every hand and burned card. Pass a heroId to get the
+ * history a player would see: their own cards, opponents' cards only if shown
+ * down, and no burned cards.
+ */
+export class HandHistoryWriter extends EventEmitter {
+  /**
+   * @param {Table} table - Table to record
+   * @param {Object} [options]
+   * @param {string|null} [options.heroId] - Player whose cards stay visible; null shows all
+   * @param {HandRecorder} [options.recorder] - Share a recorder with other exporters
+   */
+  constructor(table, options = {}) {
+    super();
+
+    this.heroId = options.heroId ?? null;
+    this.ownsRecorder = !options.recorder;
+    this.recorder = options.recorder || new HandRecorder(table);
+
+    this.handleHandRecorded = (hand) =>
+      this.emit('hand:history', { gameNumber: hand.gameNumber, text: this.format(hand) });
+    this.recorder.on('hand:recorded', this.handleHandRecorded);
+  }
+
+  /**
+   * Completed hand records, oldest first
+   * @returns {Object[]}
+   */
+  get hands() {
+    return this.recorder.hands;
+  }
+
+  /**
+   * Stop writing hands from the table
+   */
+  detach() {
+    this.recorder.off('hand:recorded', this.handleHandRecorded);
+    if (this.ownsRecorder) {
+      this.recorder.detach();
+    }
+  }
+
+  /**
+   * Hand histories for every completed hand
+   * @param {Object} [options]
+   * @param {string|null} [options.heroId] - Overrides the writer's hero
+   * @returns {string[]}
+   */
+  getHandHistories(options = {}) {
+    return this.hands.map((hand) => this.format(hand, options));
+  }
+
+  /**
+   * All completed hands as one text, separated by blank lines like a history file
+   * @param {Object} [options] - See getHandHistories
+   * @returns {string}
+   */
+  toString(options = {}) {
+    return this.getHandHistories(options).join('\n\n\n');
+  }
+
+  /**
+   * Render one hand record as PokerStars-style text
+   * @param {Object} hand - Completed hand record
+   * @param {Object} [options]
+   * @param {string|null} [options.heroId] - Overrides the writer's hero
+   * @returns {string}
+   */
+  format(hand, { heroId = this.heroId } = {}) {
+    const canSee = (playerId) => heroId === null || playerId === heroId;
+    const seatOf = new Map(hand.seats.map((s) => [s.playerId, s]));
+    const nameOf = (playerId) => seatOf.get(playerId).name;
+    const stakes =
+      hand.bettingStructure === Limits.FIXED_LIMIT
+        ? `${hand.smallBet}/${hand.bigBet}`
+        : `${hand.blinds.small}/${hand.blinds.big}`;
+
+    const lines = [
+      `PokerStars Hand #${hand.gameNumber}: Triple Draw 2-7 Lowball ` +
+        `${STRUCTURE_NAMES[hand.bettingStructure]} (${stakes}) - ${formatDate(hand.startedAt)}`,
+      `Table '${hand.tableId}' ${hand.maxPlayers}-max Seat #${hand.buttonSeat + 1} is the button`,
+      ...hand.seats.map((s) => `Seat ${s.seat + 1}: ${s.name} (${s.chips} in chips)`),
+    ];
+
+    const stacks = new Map(hand.seats.map((s) => [s.playerId, s.chips]));
+    const draws = new Map(hand.seats.map((s) => [s.playerId, [...(hand.draws[s.playerId] || [])]]));
+    const burns = new Map((hand.burns || []).map((burn) => [burn.phase, burn.card]));
+    const folded = new Map();
+    let bets = new Map();
+    let round = GamePhase.PRE_DRAW;
+    let dealt = false;
+
+    const dealHands = () => {
+      lines.push('*** DEALING HANDS ***');
+      for (const s of hand.seats) {
+        const cards = hand.holeCards[s.playerId];
+        lines.push(
+          cards && canSee(s.playerId)
+            ? `Dealt to ${s.name} ${formatCards(cards)}`
+            : `Dealt to ${s.name}`
+        );
+      }
+      dealt = true;
+    };
+
+    for (const entry of hand.actions) {
+      const name = nameOf(entry.playerId);
+      const refund = entry.action === HistoryAction.UNCALLED_BET;
+      stacks.set(entry.playerId, stacks.get(entry.playerId) + (refund ? 1 : -1) * entry.amount);
+      const allIn = stacks.get(entry.playerId) === 0 && !refund ? ' and is all-in' : '';
+
+      // Forced bets come before the deal; everything else comes after it
+      if (!dealt && entry.action !== HistoryAction.ANTE && !entry.action.endsWith('_BLIND')) {
+        dealHands();
+      }
+
+      if (entry.action === Action.DRAW || entry.action === Action.STAND_PAT) {
+        const header = `*** ${DRAW_HEADERS[entry.phase]} ***`;
+        if (!lines.includes(header)) {
+          lines.push(header);
+          // Nobody sees a burned card at the table, so only the full history shows it
+          if (burns.has(entry.phase)) {
+            lines.push(
+              heroId === null
+                ? `Dealer burns a card ${formatCards([burns.get(entry.phase)])}`
+                : 'Dealer burns a card'
+            );
+          }
+        }
+        if (entry.action === Action.STAND_PAT) {
+          lines.push(`${name}: stands pat`);
+        } else {
+          const { discarded, drawn } = draws.get(entry.playerId).shift() || {};
+          lines.push(
+            discarded && canSee(entry.playerId)
+              ? `${name}: discards ${plural(entry.cards, 'card')} ${formatCards(discarded)} ` +
+                  `and draws ${formatCards(drawn)}`
+              : `${name}: discards ${plural(entry.cards, 'card')}`
+          );
+        }
+        continue;
+      }
+
+      // A new betting round starts with nobody having bet
+      if (entry.phase !== round) {
+        round = entry.phase;
+        bets = new Map();
+      }
+      const currentBet = Math.max(0, ...bets.values());
+
+      switch (entry.action) {
+        case HistoryAction.ANTE:
+          lines.push(`${name}: posts the ante ${entry.amount}${allIn}`);
+          break;
+        case HistoryAction.SMALL_BLIND:
+          bets.set(entry.playerId, entry.amount);
+          lines.push(`${name}: posts small blind ${entry.amount}${allIn}`);
+          break;
+        case HistoryAction.BIG_BLIND:
+          bets.set(entry.playerId, entry.amount);
+          lines.push(`${name}: posts big blind ${entry.amount}${allIn}`);
+          break;
+        case HistoryAction.UNCALLED_BET:
+          lines.push(`Uncalled bet (${entry.amount}) returned to ${name}`);
+          break;
+        case Action.FOLD:
+          folded.set(entry.playerId, entry.phase);
+          lines.push(`${name}: folds`);
+          break;
+        case Action.CHECK:
+          lines.push(`${name}: checks`);
+          break;
+        default:
+          bets.set(entry.playerId, entry.totalBet);
+          if (entry.totalBet <= currentBet) {
+            lines.push(`${name}: calls ${entry.amount}${allIn}`);
+          } else if (currentBet === 0) {
+            lines.push(`${name}: bets ${entry.totalBet}${allIn}`);
+          } else {
+            lines.push(
+              `${name}: raises ${entry.totalBet - currentBet} to ${entry.totalBet}${allIn}`
+            );
+          }
+      }
+    }
+    if (!dealt) {
+      dealHands();
+    }
+
+    // Pots are won from the "pot", or the "main pot" and "side pot-N" once split
+    const potNames = hand.pots.map((_, index) =>
+      hand.pots.length === 1 ? 'pot' : index === 0 ? 'main pot' : `side pot-${index}`
+    );
+    const won = new Map();
+    for (const pot of hand.pots) {
+      for (const { playerId, amount } of pot.winners) {
+        won.set(playerId, (won.get(playerId) || 0) + amount);
+      }
+    }
+    const shown = new Map(hand.shownHands.map((h) => [h.playerId, h]));
+
+    if (hand.showdown) {
+      lines.push('*** SHOW DOWN ***');
+      for (const { playerId, cards, description } of hand.shownHands) {
+        lines.push(`${nameOf(playerId)}: shows ${formatCards(cards)} (${description})`);
+      }
+    }
+    hand.pots.forEach((pot, index) => {
+      for (const { playerId, amount } of pot.winners) {
+        lines.push(`${nameOf(playerId)} collected ${amount} from ${potNames[index]}`);
+      }
+    });
+    if (!hand.showdown) {
+      for (const playerId of won.keys()) {
+        lines.push(`${nameOf(playerId)}: doesn't show hand`);
+      }
+    }
+
+    const total = hand.pots.reduce((sum, pot) => sum + pot.amount, 0);
+    const potBreakdown =
+      hand.pots.length > 1
+        ? ` Main pot ${hand.pots[0].amount}.${hand.pots
+            .slice(1)
+            .map((pot, index) => ` Side pot-${index + 1} ${pot.amount}.`)
+            .join('')}`
+        : '';
+
+    lines.push('*** SUMMARY ***', `Total pot ${total}${potBreakdown} | Rake 0`);
+    for (const s of hand.seats) {
+      const roles = [
+        s.seat === hand.buttonSeat && ' (button)',
+        s.seat === hand.smallBlindSeat && ' (small blind)',
+        s.seat === hand.bigBlindSeat && ' (big blind)',
+      ]
+        .filter(Boolean)
+        .join('');
+      const winnings = won.get(s.playerId);
+      let outcome;
+      if (folded.has(s.playerId)) {
+        outcome = `folded ${FOLDED_WHEN[folded.get(s.playerId)]}`;
+      } else if (shown.has(s.playerId)) {
+        const { cards, description } = shown.get(s.playerId);
+        outcome = winnings
+          ? `showed ${formatCards(cards)} and won (${winnings}) with ${description}`
+          : `showed ${formatCards(cards)} and lost with ${description}`;
+      } else {
+        outcome = `collected (${winnings || 0})`;
+      }
+      lines.push(`Seat ${s.seat + 1}: ${s.name}${roles} ${outcome}`);
+    }
+
+    return lines.join('\n');
+  }
+}
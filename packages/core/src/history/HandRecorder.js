@@ -0,0 +1,126 @@
+import { EventEmitter } from 'eventemitter3';
+
+/**
+ * Records every hand played at a Table for the hand history exporters
+ *
+ * A record combines the table's seats and stakes, the engine's action history
+ * and result, and the cards each player was dealt, threw and drew. Cards are
+ * read from the engine, so records hold every hand and are for trusted code;
+ * exporters take care of hiding what a player isn't allowed to see.
+ */
+export class HandRecorder extends EventEmitter {
+  /**
+   * @param {Table} table - Table to record
+   */
+  constructor(table) {
+    super();
+
+    this.table = table;
+    this.hands = []; // Completed hand records, oldest first
+    this.currentHand = null;
+
+    this.handleGameStarted = (data) => this.startHand(data);
+    this.table.on('game:started', this.handleGameStarted);
+  }
+
+  /**
+   * Stop recording hands from the table
+   */
+  detach() {
+    this.table.off('game:started', this.handleGameStarted);
+    this.currentHand = null;
+  }
+
+  /**
+   * Begin a record for the hand the table just started
+   * @param {Object} data - game:started payload
+   */
+  startHand(data) {
+    const engine = this.table.gameEngine;
+    const { config } = this.table;
+    const hand = {
+      gameNumber: data.gameNumber,
+      tableId: this.table.id,
+      startedAt: new Date(),
+      seed: null, // Set when the hand ends; replays the shuffle when the table is seeded
+      bettingStructure: config.bettingStructure,
+      blinds: { ...config.blinds },
+      smallBet: config.smallBet,
+      bigBet: config.bigBet,
+      ante: config.ante,
+      maxPlayers: config.maxPlayers,
+      buttonSeat: data.buttonSeat,
+      smallBlindSeat: data.smallBlindSeat,
+      bigBlindSeat: data.bigBlindSeat,
+      seats: engine.players.map((player) => ({
+        seat: this.table.getSeatNumber(player.id),
+        playerId: player.id,
+        name: player.name,
+        chips: player.chips,
+      })),
+      holeCards: {},
+      draws: {},
+      config: engine.getReplayConfig(), // With seed or deckOrder, enough for replayHand()
+      deckOrder: null,
+      reshuffles: [], // Stub order after each reshuffle of the discards
+      burns: [], // Card burned before each draw, as { drawNumber, phase, card }
+      discards: [], // Hand positions each draw threw, as { actionIndex, playerId, ... }
+    };
+    this.currentHand = hand;
+
+    // Track every hand so each draw can be split into what was thrown and what came
+    const hands = new Map();
+    engine.on('cards:dealt', ({ playerId }) => {
+      hand.deckOrder ??= engine.deckOrder;
+      const cards = engine.playerHands.get(playerId).map(String);
+      hands.set(playerId, cards);
+      hand.holeCards[playerId] = cards;
+      hand.draws[playerId] = [];
+    });
+    engine.on('player:drew:cards', ({ playerId }) => {
+      const before = hands.get(playerId);
+      const after = engine.playerHands.get(playerId).map(String);
+      hands.set(playerId, after);
+      hand.draws[playerId].push({
+        discarded: before.filter((card) => !after.includes(card)),
+        drawn: after.filter((card) => !before.includes(card)),
+      });
+    });
+    engine.on('deck:reshuffled', () => hand.reshuffles.push(engine.reshuffleOrders.at(-1)));
+    engine.on('card:burned', () => {
+      const { drawNumber, phase, card } = engine.burns.at(-1);
+      hand.burns.push({ drawNumber, phase, card: String(card) });
+    });
+    engine.once('hand:ended', (result) => {
+      hand.discards = engine.drawDiscards.map((d) => ({
+        ...d,
+        discardIndices: [...d.discardIndices],
+      }));
+      this.finishHand(hand, result);
+    });
+  }
+
+  /**
+   * Complete a hand record from the engine's result
+   * @param {Object} hand - Record started in startHand
+   * @param {Object} result - hand:ended payload
+   */
+  finishHand(hand, result) {
+    hand.seed = result.seed ?? null;
+    hand.actions = result.actionHistory;
+    hand.showdown = result.showdown;
+    hand.pots = result.pots;
+    hand.shownHands = (result.allHands || []).map(({ playerId, cards, description }) => ({
+      playerId,
+      cards: cards.map(String),
+      description,
+    }));
+
+    this.hands.push(hand);
+    if (this.currentHand === hand) {
+      this.currentHand = null;
+    }
+
+    this.emit('hand:recorded', hand);
+  }
+}
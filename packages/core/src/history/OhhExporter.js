@@ -0,0 +1,303 @@
+import { EventEmitter } from 'eventemitter3';
+import { Action, GamePhase, HistoryAction } from '../types/index.js';
+import { Limits } from '../constants.js';
+import { HandRecorder } from './HandRecorder.js';
+
+export const OHH_SPEC_VERSION = '1.4.6';
+
+// Draw games aren't in the OHH spec; these game type and street names are our extension
+export const OHH_GAME_TYPE = 'TripleDraw27';
+
+export const OhhStreets = {
+  PRE_DRAW: 'Predraw',
+  FIRST_DRAW: 'First Draw',
+  SECOND_DRAW: 'Second Draw',
+  THIRD_DRAW: 'Third Draw',
+  SHOWDOWN: 'Showdown',
+};
+
+export const OhhActions = {
+  DEALT_CARDS: 'Dealt Cards',
+  SHOWS_CARDS: 'Shows Cards',
+  POST_ANTE: 'Post Ante',
+  POST_SB: 'Post SB',
+  POST_BB: 'Post BB',
+  FOLD: 'Fold',
+  CHECK: 'Check',
+  BET: 'Bet',
+  RAISE: 'Raise',
+  CALL: 'Call',
+  DISCARD_CARDS: 'Discard Cards', // Extension: cards thrown in a draw
+  STANDS_PAT: 'Stands Pat', // Extension
+  UNCALLED_BET: 'Uncalled Bet Returned', // Extension: chips given back to the bettor
+  BURN_CARD: 'Burn Card', // Extension: dealer burns before a draw's replacements; no player_id
+};
+
+const BET_TYPES = {
+  [Limits.FIXED_LIMIT]: 'FL',
+  [Limits.POT_LIMIT]: 'PL',
+  [Limits.NO_LIMIT]: 'NL',
+};
+
+// Betting phases and draw phase names, by the street they belong to
+const STREETS = {
+  [GamePhase.PRE_DRAW]: OhhStreets.PRE_DRAW,
+  'first-draw': OhhStreets.FIRST_DRAW,
+  [GamePhase.POST_FIRST_DRAW]: OhhStreets.FIRST_DRAW,
+  'second-draw': OhhStreets.SECOND_DRAW,
+  [GamePhase.POST_SECOND_DRAW]: OhhStreets.SECOND_DRAW,
+  'third-draw': OhhStreets.THIRD_DRAW,
+  [GamePhase.POST_THIRD_DRAW]: OhhStreets.THIRD_DRAW,
+  [GamePhase.SHOWDOWN]: OhhStreets.SHOWDOWN,
+};
+
+const ACTIONS = {
+  [HistoryAction.ANTE]: OhhActions.POST_ANTE,
+  [HistoryAction.SMALL_BLIND]: OhhActions.POST_SB,
+  [HistoryAction.BIG_BLIND]: OhhActions.POST_BB,
+  [HistoryAction.UNCALLED_BET]: OhhActions.UNCALLED_BET,
+  [Action.FOLD]: OhhActions.FOLD,
+  [Action.CHECK]: OhhActions.CHECK,
+  [Action.BET]: OhhActions.BET,
+  [Action.RAISE]: OhhActions.RAISE,
+  [Action.CALL]: OhhActions.CALL,
+};
+
+/**
+ * Exports every hand played at a Table in the Open Hand History (OHH) JSON format
+ *
+ * Draws are recorded in their own streets: each player's "Discard Cards" (or
+ * "Stands Pat") with a card_count, then any "Burn Card" and the replacement
+ * "Dealt Cards". Amounts are the chips each action puts in. Pass a heroId to hide
+ * other players' cards unless they are shown down, and every burned card.
+ */
+export class OhhExporter extends EventEmitter {
+  /**
+   * @param {Table} table - Table to record
+   * @param {Object} [options]
+   * @param {string|null} [options.heroId] - Player whose cards stay visible; null shows all
+   * @param {string} [options.siteName='triple-draw-manager'] - site_name and network_name
+   * @param {HandRecorder} [options.recorder] - Share a recorder with other exporters
+   */
+  constructor(table, options = {}) {
+    super();
+
+    this.heroId = options.heroId ?? null;
+    this.siteName = options.siteName || 'triple-draw-manager';
+    this.ownsRecorder = !options.recorder;
+    this.recorder = options.recorder || new HandRecorder(table);
+
+    this.handleHandRecorded = (hand) =>
+      this.emit('hand:ohh', { gameNumber: hand.gameNumber, ohh: this.toOhh(hand) });
+    this.recorder.on('hand:recorded', this.handleHandRecorded);
+  }
+
+  /**
+   * Completed hand records, oldest first
+   * @returns {Object[]}
+   */
+  get hands() {
+    return this.recorder.hands;
+  }
+
+  /**
+   * Stop exporting hands from the table
+   */
+  detach() {
+    this.recorder.off('hand:recorded', this.handleHandRecorded);
+    if (this.ownsRecorder) {
+      this.recorder.detach();
+    }
+  }
+
+  /**
+   * OHH documents for every completed hand
+   * @param {Object} [options]
+   * @param {string|null} [options.heroId] - Overrides the exporter's hero
+   * @returns {Object[]}
+   */
+  getHands(options = {}) {
+    return this.hands.map((hand) => this.toOhh(hand, options));
+  }
+
+  /**
+   * Every completed hand as JSON Lines, one OHH document per line
+   * @param {Object} [options] - See getHands
+   * @returns {string}
+   */
+  toJsonLines(options = {}) {
+    return this.getHands(options)
+      .map((ohh) => `${JSON.stringify(ohh)}\n`)
+      .join('');
+  }
+
+  /**
+   * Convert one hand record into an OHH document
+   * @param {Object} hand - Completed hand record
+   * @param {Object} [options]
+   * @param {string|null} [options.heroId] - Overrides the exporter's hero
+   * @returns {{ohh: Object}}
+   */
+  toOhh(hand, { heroId = this.heroId } = {}) {
+    const canSee = (playerId) => heroId === null || playerId === heroId;
+    const ids = new Map(hand.seats.map((s, index) => [s.playerId, index + 1]));
+    const stacks = new Map(hand.seats.map((s) => [s.playerId, s.chips]));
+    const draws = new Map(hand.seats.map((s) => [s.playerId, [...(hand.draws[s.playerId] || [])]]));
+
+    const rounds = [];
+    let actionNumber = 0;
+    const roundFor = (street) => {
+      if (rounds.at(-1)?.street !== street) {
+        rounds.push({ id: rounds.length, street, actions: [] });
+      }
+      return rounds.at(-1);
+    };
+    const addAction = (street, playerId, action, extra = {}) =>
+      roundFor(street).actions.push({
+        action_number: ++actionNumber,
+        player_id: ids.get(playerId),
+        action,
+        ...extra,
+      });
+
+    // The burn and the replacement cards come once everyone in the draw has discarded
+    const burns = new Map((hand.burns || []).map((burn) => [STREETS[burn.phase], burn.card]));
+    let pendingDeals = [];
+    let pendingStreet = null;
+    const dealPending = () => {
+      if (burns.has(pendingStreet)) {
+        roundFor(pendingStreet).actions.push({
+          action_number: ++actionNumber,
+          action: OhhActions.BURN_CARD,
+          card_count: 1,
+          ...(heroId === null && { cards: [burns.get(pendingStreet)] }),
+        });
+      }
+      for (const deal of pendingDeals) deal();
+      pendingDeals = [];
+      pendingStreet = null;
+    };
+
+    let dealt = false;
+    let round = null;
+    let bets = new Map();
+    for (const entry of hand.actions) {
+      const street = STREETS[entry.phase];
+      const forced = entry.action === HistoryAction.ANTE || entry.action.endsWith('_BLIND');
+
+      if (!dealt && !forced) {
+        for (const s of hand.seats) {
+          if (hand.holeCards[s.playerId] && canSee(s.playerId)) {
+            addAction(OhhStreets.PRE_DRAW, s.playerId, OhhActions.DEALT_CARDS, {
+              cards: hand.holeCards[s.playerId],
+            });
+          }
+        }
+        dealt = true;
+      }
+
+      if (pendingStreet !== null && street !== pendingStreet) {
+        dealPending();
+      }
+      if (entry.action === Action.STAND_PAT) {
+        addAction(street, entry.playerId, OhhActions.STANDS_PAT);
+        pendingStreet = street;
+        continue;
+      }
+      if (entry.action === Action.DRAW) {
+        const visible = canSee(entry.playerId);
+        const { discarded, drawn } = draws.get(entry.playerId).shift() || {};
+        addAction(street, entry.playerId, OhhActions.DISCARD_CARDS, {
+          card_count: entry.cards,
+          ...(visible && discarded && { cards: discarded }),
+        });
+        pendingStreet = street;
+        pendingDeals.push(() =>
+          addAction(street, entry.playerId, OhhActions.DEALT_CARDS, {
+            card_count: entry.cards,
+            ...(visible && drawn && { cards: drawn }),
+          })
+        );
+        continue;
+      }
+      dealPending();
+
+      const refund = entry.action === HistoryAction.UNCALLED_BET;
+      stacks.set(entry.playerId, stacks.get(entry.playerId) + (refund ? 1 : -1) * entry.amount);
+
+      // A new betting round starts with nobody having bet
+      if (entry.phase !== round) {
+        round = entry.phase;
+        bets = new Map();
+      }
+      const currentBet = Math.max(0, ...bets.values());
+      let action = entry.action;
+      if (entry.totalBet !== undefined && action !== Action.FOLD && action !== Action.CHECK) {
+        if (entry.totalBet <= currentBet) action = Action.CALL;
+        else action = currentBet === 0 ? Action.BET : Action.RAISE;
+      }
+      if (entry.totalBet !== undefined || entry.action.endsWith('_BLIND')) {
+        bets.set(entry.playerId, entry.totalBet ?? entry.amount);
+      }
+
+      if (action === Action.FOLD || action === Action.CHECK) {
+        addAction(street, entry.playerId, ACTIONS[action]);
+        continue;
+      }
+      addAction(street, entry.playerId, ACTIONS[action], {
+        amount: entry.amount,
+        is_allin: !refund && stacks.get(entry.playerId) === 0,
+      });
+    }
+    dealPending();
+
+    for (const { playerId, cards } of hand.shownHands) {
+      addAction(OhhStreets.SHOWDOWN, playerId, OhhActions.SHOWS_CARDS, { cards });
+    }
+
+    return {
+      ohh: {
+        spec_version: OHH_SPEC_VERSION,
+        site_name: this.siteName,
+        network_name: this.siteName,
+        internal_version: '1',
+        tournament: false,
+        game_number: String(hand.gameNumber),
+        start_date_utc: hand.startedAt.toISOString(),
+        table_name: hand.tableId,
+        game_type: OHH_GAME_TYPE,
+        bet_limit: { bet_type: BET_TYPES[hand.bettingStructure], bet_cap: 0 },
+        table_size: hand.maxPlayers,
+        dealer_seat: hand.buttonSeat + 1,
+        small_blind_amount: hand.blinds.small,
+        big_blind_amount: hand.blinds.big,
+        ante_amount: hand.ante,
+        ...(hand.bettingStructure === Limits.FIXED_LIMIT && {
+          small_bet: hand.smallBet,
+          big_bet: hand.bigBet,
+        }),
+        ...(heroId !== null && ids.has(heroId) && { hero_player_id: ids.get(heroId) }),
+        ...(hand.seed !== null && { seed: hand.seed }),
+        flags: [],
+        players: hand.seats.map((s) => ({
+          id: ids.get(s.playerId),
+          seat: s.seat + 1,
+          name: s.playerId,
+          display: s.name,
+          starting_stack: s.chips,
+        })),
+        rounds,
+        pots: hand.pots.map((pot, index) => ({
+          number: index,
+          amount: pot.amount,
+          rake: 0,
+          player_wins: pot.winners.map(({ playerId, amount }) => ({
+            player_id: ids.get(playerId),
+            win_amount: amount,
+            contributed_rake: 0,
+          })),
+        })),
+      },
+    };
+  }
+}
@@ -0,0 +1,166 @@
+import { OhhActions } from './OhhExporter.js';
+
+const CARD = /^[2-9TJQKA][cdhs]$/;
+const ACTION_NAMES = new Set(Object.values(OhhActions));
+
+/**
+ * Check a value at a path inside an OHH document, throwing when it doesn't hold
+ */
+const check = (ok, path, problem) => {
+  if (!ok) {
+    throw new Error(`Invalid OHH hand: ${path} ${problem}`);
+  }
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const checkNumber = (object, key, path, { optional = false } = {}) => {
+  if (optional && object[key] === undefined) return;
+  check(isNumber(object[key]), `${path}.${key}`, 'must be a number');
+};
+
+const checkString = (object, key, path) =>
+  check(typeof object[key] === 'string', `${path}.${key}`, 'must be a string');
+
+const checkArray = (object, key, path) =>
+  check(Array.isArray(object[key]), `${path}.${key}`, 'must be an array');
+
+const checkCards = (object, path) => {
+  if (object.cards === undefined) return;
+  checkArray(object, 'cards', path);
+  object.cards.forEach((card, i) =>
+    check(CARD.test(card), `${path}.cards[${i}]`, `is not a card: ${JSON.stringify(card)}`)
+  );
+};
+
+/**
+ * Validate an OHH document against the fields this package reads and writes
+ *
+ * Checks the required header fields, players, rounds, actions and pots, that
+ * every action but a burn has a player_id of a listed player, and that cards
+ * look like "Ah".
+ * Action names may be the spec's or this package's draw extensions.
+ *
+ * @param {Object} document - Parsed JSON, either `{ohh: {...}}` or the bare hand
+ * @returns {Object} The hand inside the document
+ */
+export function validateOhh(document) {
+  check(document !== null && typeof document === 'object', 'document', 'must be an object');
+  const hand = document.ohh ?? document;
+  const path = 'ohh';
+  check(hand !== null && typeof hand === 'object', path, 'must be an object');
+
+  ['spec_version', 'site_name', 'game_number', 'start_date_utc', 'game_type'].forEach((key) =>
+    checkString(hand, key, path)
+  );
+  check(!Number.isNaN(Date.parse(hand.start_date_utc)), `${path}.start_date_utc`, 'is not a date');
+  ['table_size', 'dealer_seat', 'small_blind_amount', 'big_blind_amount'].forEach((key) =>
+    checkNumber(hand, key, path)
+  );
+  checkNumber(hand, 'ante_amount', path, { optional: true });
+  check(
+    hand.bet_limit !== null && typeof hand.bet_limit === 'object',
+    `${path}.bet_limit`,
+    'must be an object'
+  );
+  checkString(hand.bet_limit, 'bet_type', `${path}.bet_limit`);
+
+  checkArray(hand, 'players', path);
+  const playerIds = new Set();
+  hand.players.forEach((player, i) => {
+    const at = `${path}.players[${i}]`;
+    checkNumber(player, 'id', at);
+    checkNumber(player, 'seat', at);
+    checkString(player, 'name', at);
+    checkNumber(player, 'starting_stack', at);
+    check(!playerIds.has(player.id), `${at}.id`, `repeats player ${player.id}`);
+    playerIds.add(player.id);
+  });
+  const checkPlayer = (id, at) =>
+    check(playerIds.has(id), `${at}.player_id`, `is not a listed player: ${id}`);
+  if (hand.hero_player_id !== undefined) {
+    check(playerIds.has(hand.hero_player_id), `${path}.hero_player_id`, 'is not a listed player');
+  }
+
+  checkArray(hand, 'rounds', path);
+  hand.rounds.forEach((round, i) => {
+    const at = `${path}.rounds[${i}]`;
+    checkNumber(round, 'id', at);
+    checkString(round, 'street', at);
+    checkArray(round, 'actions', at);
+    round.actions.forEach((action, j) => {
+      const actionAt = `${at}.actions[${j}]`;
+      checkNumber(action, 'action_number', actionAt);
+      checkString(action, 'action', actionAt);
+      check(
+        ACTION_NAMES.has(action.action),
+        `${actionAt}.action`,
+        `is not a known action: ${action.action}`
+      );
+      // The dealer burns, so a burn belongs to no player
+      if (action.action !== OhhActions.BURN_CARD) {
+        checkNumber(action, 'player_id', actionAt);
+        checkPlayer(action.player_id, actionAt);
+      }
+      checkNumber(action, 'amount', actionAt, { optional: true });
+      checkNumber(action, 'card_count', actionAt, { optional: true });
+      if (action.is_allin !== undefined) {
+        check(typeof action.is_allin === 'boolean', `${actionAt}.is_allin`, 'must be a boolean');
+      }
+      checkCards(action, actionAt);
+    });
+  });
+
+  checkArray(hand, 'pots', path);
+  hand.pots.forEach((pot, i) => {
+    const at = `${path}.pots[${i}]`;
+    checkNumber(pot, 'number', at);
+    checkNumber(pot, 'amount', at);
+    checkNumber(pot, 'rake', at, { optional: true });
+    checkArray(pot, 'player_wins', at);
+    pot.player_wins.forEach((win, j) => {
+      const winAt = `${at}.player_wins[${j}]`;
+      checkNumber(win, 'player_id', winAt);
+      checkPlayer(win.player_id, winAt);
+      checkNumber(win, 'win_amount', winAt);
+    });
+  });
+
+  return hand;
+}
+
+/**
+ * Import one OHH hand
+ * @param {string|Object} input - JSON text or an already parsed document
+ * @returns {Object} The validated hand
+ */
+export function importOhh(input) {
+  let document = input;
+  if (typeof input === 'string') {
+    try {
+      document = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid OHH hand: not JSON (${error.message})`);
+    }
+  }
+  return validateOhh(document);
+}
+
+/**
+ * Import a JSON Lines file of OHH hands, one document per line
+ * @param {string} text - JSON Lines text; blank lines are skipped
+ * @returns {Object[]} The validated hands
+ */
+export function importOhhJsonLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line, index) => [line.trim(), index])
+    .filter(([line]) => line)
+    .map(([line, index]) => {
+      try {
+        return importOhh(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1}: ${error.message}`);
+      }
+    });
+}
@@ -0,0 +1,167 @@
+import { Player } from '../Player.js';
+import { ScriptedDeck } from '../game/ScriptedDeck.js';
+import { TripleDrawGameEngine } from '../game/TripleDrawGameEngine.js';
+import { Action } from '../types/index.js';
+
+// Entries a player chose; everything else in the log the engine does by itself
+const DECISIONS = new Set(Object.values(Action));
+
+// Fields that must come out the same for a replayed entry to match the log
+const COMPARED = ['action', 'playerId', 'phase', 'amount', 'totalBet', 'cards'];
+
+/**
+ * Player that answers every decision with the log entry the engine is about to record
+ */
+class LogPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.replay = config.replay;
+  }
+
+  async getAction(gameState) {
+    const entry = await this.replay.next(this.id);
+    if (!entry) return { action: Action.FOLD };
+    if (entry.action === Action.BET || entry.action === Action.RAISE) {
+      return { action: entry.action, amount: entry.totalBet - gameState.currentBet };
+    }
+    return { action: entry.action };
+  }
+
+  async getDrawAction() {
+    const entry = await this.replay.next(this.id);
+    if (!entry || entry.action !== Action.DRAW) {
+      return { cardsToDiscard: 0 };
+    }
+    return { cardsToDiscard: entry.cards, discardIndices: entry.discardIndices };
+  }
+}
+
+/**
+ * Describe the fields where a replayed entry differs from the logged one
+ */
+const describeDifference = (index, expected, actual) => {
+  if (!actual) {
+    return `Action ${index}: expected ${expected.playerId} ${expected.action}, but the hand ended`;
+  }
+  const fields = COMPARED.filter((key) => expected[key] !== actual[key]);
+  if (fields.length === 0) return null;
+  const show = (entry) => fields.map((key) => `${key}=${entry[key]}`).join(' ');
+  return `Action ${index}: expected ${show(expected)}, got ${show(actual)}`;
+};
+
+/**
+ * Re-run a recorded hand through TripleDrawGameEngine
+ *
+ * The deck is dealt from `deckOrder` when given, otherwise shuffled from
+ * `seed`. Each player decision is answered with the next entry of `actions`,
+ * and every entry the engine records is checked against the log. Draws throw
+ * the positions in `discards`, which the public log leaves out. A
+ * HandRecorder record can be passed as is.
+ *
+ * With `stopAt`, the replay pauses before the log entry at that index (or the
+ * first player decision after it, since blinds and returned bets happen by
+ * themselves) and returns the game state at that point. The paused engine is
+ * left waiting on that decision for good, so it cannot be resumed or started
+ * again; read what you need from it and throw it away.
+ *
+ * @param {Object} hand
+ * @param {Object[]} hand.players - `{id, name, chips}` at the start of the hand, in engine
+ *   order; a record's `seats` (with playerId) work too
+ * @param {Object} hand.config - Engine config, e.g. from engine.getReplayConfig()
+ * @param {number|string|null} [hand.seed] - Seed the hand was shuffled with
+ * @param {string[]|null} [hand.deckOrder] - Card order after the shuffle
+ * @param {Array<string[]>} [hand.reshuffles] - Stub order after each reshuffle, with deckOrder
+ * @param {PlayerAction[]} hand.actions - The hand's action history
+ * @param {Object[]} [hand.discards] - `{actionIndex, discardIndices}` for each draw, e.g.
+ *   from engine.drawDiscards; draws without one throw what the engine suggests
+ * @param {Object} [options]
+ * @param {number} [options.stopAt] - Action index to pause at (default: play the whole hand)
+ * @returns {Promise<Object>} `engine` as it was left (unusable after a pause), its full
+ *   `state`, the number of entries replayed as `actionIndex`, whether the hand is
+ *   `complete`, the hand:ended `result` (or null), and `divergences` from the log with
+ *   an overall `match`
+ */
+export async function replayHand(hand, { stopAt = Infinity } = {}) {
+  const { config = {}, seed = null, deckOrder = null, reshuffles = [], discards = [] } = hand;
+  const { actions } = hand;
+  const seats = hand.players ?? hand.seats;
+  if (!Array.isArray(seats) || !Array.isArray(actions)) {
+    throw new Error('replayHand needs the players and the action log');
+  }
+  if (seed === null && !deckOrder) {
+    throw new Error('replayHand needs a seed or a deck order');
+  }
+
+  let pause;
+  const paused = new Promise((resolve) => (pause = resolve));
+  const divergences = [];
+  const discardsAt = new Map(discards.map((d) => [d.actionIndex, d.discardIndices]));
+
+  const replay = {
+    // The log entry the engine will record next, if it is this player's decision
+    next(playerId) {
+      const index = engine.actionHistory.length;
+      if (index >= stopAt) {
+        pause();
+        return new Promise(() => {}); // Never settles; the engine is done with once paused
+      }
+      const entry = actions[index];
+      if (!entry || entry.playerId !== playerId || !DECISIONS.has(entry.action)) {
+        divergences.push(
+          `Action ${index}: ${playerId} was asked to act, but the log has no such entry`
+        );
+        return null;
+      }
+      return entry.action === Action.DRAW
+        ? { ...entry, discardIndices: discardsAt.get(index) }
+        : entry;
+    },
+  };
+
+  const players = seats.map(({ id, playerId, name, chips }) => {
+    const player = new LogPlayer({ id: id ?? playerId, name, replay });
+    player.chips = chips;
+    return player;
+  });
+
+  // A button drawn from a seeded RNG has to be drawn again for the shuffle to repeat
+  const { buttonFromRng, ...engineConfig } = config;
+  if (!deckOrder && buttonFromRng) {
+    delete engineConfig.dealerButton;
+  }
+
+  const engine = new TripleDrawGameEngine({
+    ...engineConfig,
+    players,
+    ...(deckOrder ? { deck: new ScriptedDeck({ stub: deckOrder, reshuffles }) } : { seed }),
+    simulationMode: true,
+  });
+
+  let result = null;
+  engine.once('hand:ended', (data) => (result = data));
+  await Promise.race([engine.start(), paused]);
+
+  // Stopping early only checks the part of the log that was replayed
+  const complete = result !== null;
+  const replayed = engine.getActionHistory();
+  const checked = complete ? actions.length : Math.min(replayed.length, actions.length);
+  for (let i = 0; i < checked; i++) {
+    const difference = describeDifference(i, actions[i], replayed[i]);
+    if (difference) divergences.push(difference);
+  }
+  if (complete && replayed.length > actions.length) {
+    divergences.push(
+      `Replay recorded ${replayed.length - actions.length} entries the log doesn't have`
+    );
+  }
+
+  return {
+    engine,
+    state: engine.getGameState(),
+    actionIndex: replayed.length,
+    complete,
+    result,
+    divergences,
+    match: divergences.length === 0,
+  };
+}
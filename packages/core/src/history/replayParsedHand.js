@@ -0,0 +1,197 @@
+import { Player } from '../Player.js';
+import { Deck } from '../game/Deck.js';
+import { ScriptedDeck } from '../game/ScriptedDeck.js';
+import { TripleDrawGameEngine } from '../game/TripleDrawGameEngine.js';
+import { Action, HistoryAction } from '../types/index.js';
+import { Limits } from '../constants.js';
+
+/**
+ * Player that repeats the betting and discards recorded in a parsed hand
+ */
+class ReplayPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.actions = config.actions;
+    this.discards = config.discards;
+    this.divergences = config.divergences;
+  }
+
+  async getAction() {
+    const next = this.actions.shift();
+    if (!next) {
+      this.divergences.push(`${this.id} was asked to act after their last recorded action`);
+      return { action: Action.FOLD };
+    }
+    return next;
+  }
+
+  async getDrawAction(gameState) {
+    const cards = (this.discards.shift() || []).map((token) => token.card);
+    const hand = gameState.players[this.id].hand.map(String);
+    return { cardsToDiscard: cards.length, discardIndices: cards.map((c) => hand.indexOf(c)) };
+  }
+}
+
+/**
+ * Engine action for a parsed betting action
+ */
+const toEngineAction = ({ action, amount, allIn }) => {
+  if (allIn) return { action: Action.ALL_IN };
+  if (action === Action.BET || action === Action.RAISE) return { action, amount };
+  return { action };
+};
+
+/**
+ * Work out every card each player held so a deck can be stacked for the replay
+ *
+ * Cards the history doesn't show are placeholders. Unknown discards throw
+ * placeholders first, placeholders still held at showdown become the shown
+ * cards, and whatever is left is filled with cards that appear nowhere in the hand.
+ */
+const planCards = (hand, names) => {
+  const token = (card = null) => ({ card });
+  const dealt = new Map();
+  const discards = new Map(names.map((name) => [name, []]));
+  const drawn = new Map(); // Parsed draw entry -> tokens it brought
+
+  for (const name of names) {
+    let current = (hand.holeCards[name] || [null, null, null, null, null]).map(token);
+    dealt.set(name, current);
+
+    for (const round of hand.rounds) {
+      const draw = round.draws.find((d) => d.player === name);
+      if (!draw) continue;
+
+      const thrown = [];
+      for (const card of draw.discarded || []) {
+        const held =
+          current.find((t) => t.card === card) ||
+          current.find((t) => t.card === null && !thrown.includes(t));
+        if (held) {
+          held.card = card;
+          thrown.push(held);
+        }
+      }
+      const unknown = [...current.filter((t) => t.card === null), ...current];
+      for (const t of unknown) {
+        if (thrown.length >= draw.count) break;
+        if (!thrown.includes(t)) thrown.push(t);
+      }
+
+      const received = draw.drawn
+        ? draw.drawn.map(token)
+        : Array.from({ length: draw.count }, token);
+      discards.get(name).push(thrown);
+      drawn.set(draw, received);
+      current = [...current.filter((t) => !thrown.includes(t)), ...received];
+    }
+
+    const shown = hand.shownHands.find((s) => s.player === name)?.cards || [];
+    const missing = shown.filter((card) => !current.some((t) => t.card === card));
+    current.filter((t) => t.card === null).forEach((t, i) => (t.card = missing[i] ?? null));
+  }
+
+  // Deal order: every hand in seat order, then each draw's burn and replacements in draw order
+  const order = [
+    ...names.flatMap((name) => dealt.get(name)),
+    ...hand.rounds.flatMap((round) => [
+      ...(round.burn ? [token(round.burn.card)] : []),
+      ...round.draws.flatMap((draw) => drawn.get(draw) || []),
+    ]),
+  ];
+  const used = new Set(order.map((t) => t.card));
+  const fillers = new Deck().cards.map(String).filter((card) => !used.has(card));
+  for (const t of order) {
+    t.card ??= fillers.shift();
+  }
+
+  return { order: order.map((t) => t.card), discards };
+};
+
+/**
+ * Replay a parsed hand history through TripleDrawGameEngine
+ *
+ * Players are named after the history and repeat its actions and discards; the
+ * deck is stacked so everyone receives the cards the history shows. The engine
+ * takes no rake, so compare collected amounts on unraked hands only.
+ *
+ * @param {ParsedHand} hand - Hand from parseHandHistory
+ * @returns {Promise<Object>} The hand:ended result, `collected` by the engine and
+ *   `expectedCollected` from the history (both per player), whether they
+ *   `match`, and any `divergences` where the engine asked for an unrecorded action
+ */
+export async function replayParsedHand(hand) {
+  const seats = hand.seats.filter((s) => !s.sittingOut).sort((a, b) => a.seat - b.seat);
+  const names = seats.map((s) => s.name);
+  const indexOf = (name) => names.indexOf(name);
+  const { order, discards } = planCards(hand, names);
+
+  const forced = hand.rounds[0].actions;
+  const post = (type) => forced.find((a) => a.action === type);
+  const fullPost = (type) => forced.find((a) => a.action === type && !a.allIn)?.amount;
+  const limit = hand.bettingStructure === Limits.FIXED_LIMIT;
+
+  const divergences = [];
+  const players = seats.map((s) => {
+    const actions = hand.rounds
+      .flatMap((round) => round.actions)
+      .filter((a) => a.player === s.name && !Object.values(HistoryAction).includes(a.action))
+      .map(toEngineAction);
+    const player = new ReplayPlayer({
+      id: s.name,
+      name: s.name,
+      actions,
+      discards: discards.get(s.name),
+      divergences,
+    });
+    player.chips = s.chips;
+    return player;
+  });
+
+  // A dead button sits behind the nearest player to its right
+  const buttonIndex = seats.findLastIndex((s) => s.seat <= hand.buttonSeat);
+  const smallBlind = post(HistoryAction.SMALL_BLIND);
+  const bigBlind = post(HistoryAction.BIG_BLIND);
+
+  const engine = new TripleDrawGameEngine({
+    players,
+    blinds: {
+      small:
+        fullPost(HistoryAction.SMALL_BLIND) ??
+        (limit ? Math.floor(hand.stakes.small / 2) : hand.stakes.small),
+      big: fullPost(HistoryAction.BIG_BLIND) ?? (limit ? hand.stakes.small : hand.stakes.big),
+    },
+    bettingStructure: hand.bettingStructure,
+    ...(limit && { smallBet: hand.stakes.small, bigBet: hand.stakes.big }),
+    ante: fullPost(HistoryAction.ANTE) ?? post(HistoryAction.ANTE)?.amount ?? 0,
+    dealerButton: buttonIndex === -1 ? seats.length - 1 : buttonIndex,
+    isDeadButton: seats[buttonIndex]?.seat !== hand.buttonSeat,
+    ...(bigBlind && {
+      bigBlindPlayerIndex: indexOf(bigBlind.player),
+      smallBlindPlayerIndex: smallBlind ? indexOf(smallBlind.player) : undefined,
+      isDeadSmallBlind: !smallBlind,
+    }),
+    burnBeforeDraw: hand.rounds.some((round) => round.burn),
+    deck: new ScriptedDeck({ stub: order }),
+    simulationMode: true,
+  });
+
+  let result;
+  engine.once('hand:ended', (data) => (result = data));
+  await engine.start();
+
+  const total = (entries) => {
+    const sums = {};
+    for (const { player, amount } of entries) {
+      sums[player] = (sums[player] || 0) + amount;
+    }
+    return sums;
+  };
+  const collected = total(result.winners.map((w) => ({ player: w.playerId, amount: w.amount })));
+  const expectedCollected = total(hand.collected);
+  const match =
+    divergences.length === 0 &&
+    names.every((name) => (collected[name] || 0) === (expectedCollected[name] || 0));
+
+  return { result, collected, expectedCollected, match, divergences };
+}
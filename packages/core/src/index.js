@@ -4,10 +4,26 @@ export { Player } from './Player.js';
 export { TripleDrawGameEngine } from './game/TripleDrawGameEngine.js';
 export { Deck } from './game/Deck.js';
 export { BaseDeck } from './game/BaseDeck.js';
+export { HoldemDeckAdapter, adaptDeck } from './game/HoldemDeckAdapter.js';
+export { ScriptedDeck } from './game/ScriptedDeck.js';
+export { suggestDiscards } from './game/discardStrategy.js';
 export { LowballHandEvaluator } from './game/LowballHandEvaluator.js';
 export { PotManager } from './game/PotManager.js';
 export { Pot } from './game/Pot.js';
 export { WildcardEventEmitter } from './base/WildcardEventEmitter.js';
+export { HandRecorder } from './history/HandRecorder.js';
+export { HandHistoryWriter } from './history/HandHistoryWriter.js';
+export {
+  OhhExporter,
+  OhhActions,
+  OhhStreets,
+  OHH_GAME_TYPE,
+  OHH_SPEC_VERSION,
+} from './history/OhhExporter.js';
+export { importOhh, importOhhJsonLines, validateOhh } from './history/OhhImporter.js';
+export { parseHandHistory, parseHandHistories } from './history/HandHistoryParser.js';
+export { replayParsedHand } from './history/replayParsedHand.js';
+export { replayHand } from './history/replayHand.js';
 export * from './types/index.js';
 export * from './constants.js';
 
@@ -19,4 +35,11 @@ export {
   isPlayerActive,
 } from './utils/playerStatus.js';
 
-export { validateIntegerAmount, ensureInteger } from './utils/validation.js';
+export {
+  validateIntegerAmount,
+  ensureInteger,
+  validateDrawAction,
+  InvalidDrawError,
+  InvalidDrawReason,
+} from './utils/validation.js';
+export { SeededRng, CryptoRng, createRng } from './utils/rng.js';
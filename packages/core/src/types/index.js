@@ -42,9 +42,17 @@ export const Action = {
   STAND_PAT: 'STAND_PAT', // Choose to draw zero cards
 };
 
+// Non-player-choice entries in a hand's action history
+export const HistoryAction = {
+  ANTE: 'ANTE',
+  SMALL_BLIND: 'SMALL_BLIND',
+  BIG_BLIND: 'BIG_BLIND',
+  UNCALLED_BET: 'UNCALLED_BET', // Unmatched chips returned to the bettor
+};
+
 // Lowball hand rankings (reversed - lower is better)
 export const LowballRank = {
-  WHEEL: 1, // 7-5-4-3-2 (best hand in 2-7)
+  WHEEL: 1, // 7-x-x-x-x with no pair; 7-5-4-3-2 is the best hand in 2-7
   EIGHT_LOW: 2, // 8-x-x-x-x with no pair
   NINE_LOW: 3, // 9-x-x-x-x with no pair
   TEN_LOW: 4, // 10-x-x-x-x with no pair
@@ -72,9 +80,13 @@ export const LowballRank = {
 /**
  * @typedef {Object} PlayerAction
  * @property {string} playerId - The player making the action
- * @property {Action} action - The action type
- * @property {number} [amount] - The amount (for bet/raise)
- * @property {DrawAction} [drawInfo] - Draw information (for draw action)
+ * @property {Action|HistoryAction} action - The action type
+ * @property {number} seat - The player's seat
+ * @property {string} phase - Betting phase, or draw phase name for draws
+ * @property {number} amount - Chips moved into the pot (or returned, for UNCALLED_BET)
+ * @property {number} [totalBet] - The player's bet in the round after a betting action
+ * @property {number} [cards] - Cards taken (for DRAW and STAND_PAT)
+ * @property {number} pot - Total pot after the action
  * @property {number} timestamp - When the action was made
  */
 
@@ -88,13 +100,21 @@ export const LowballRank = {
  * @property {Object.<string, PlayerGameState>} players - Player states
  * @property {PlayerAction[]} actionHistory - History of actions
  * @property {number} drawsRemaining - Number of draws remaining (0-3)
+ * @property {number} betSize - Fixed-limit bet size for the current round
+ * @property {string} bettingStructure - One of the Limits values
+ * @property {number} minRaise - Smallest full raise for the current round
  * @property {Object.<string, number>} drawCounts - Cards drawn per player in current draw
+ * @property {DrawRound[]} drawHistory - Cards drawn per player in every draw so far
+ * @property {string|null} [viewerId] - Player whose cards are shown, null for an observer view
  */
 
 /**
  * @typedef {Object} PlayerGameState
  * @property {string} id - Player ID
- * @property {string[]} hand - Player's current hand (5 cards)
+ * @property {string[]} hand - Player's current hand (5 cards); empty unless visible to the viewer
+ * @property {number} cardCount - Number of cards the player holds
+ * @property {number[]} draws - Cards taken in each draw so far
+ * @property {number|null} cardsDrawn - Cards taken in the latest draw (0 = stood pat, null = no draw yet)
  * @property {number} chips - Current chip count
  * @property {number} bet - Current bet in this round
  * @property {PlayerState} state - Player's state
@@ -102,6 +122,13 @@ export const LowballRank = {
  * @property {boolean} standingPat - Whether player stood pat on last draw
  */
 
+/**
+ * @typedef {Object} DrawRound
+ * @property {number} drawNumber - Draw number (1-3)
+ * @property {string} phase - Draw phase name ('first-draw', 'second-draw' or 'third-draw')
+ * @property {Object.<string, number>} counts - Cards taken per player, 0 for standing pat
+ */
+
 /**
  * @typedef {Object} TableConfig
  * @property {string} [id] - Table ID
@@ -112,8 +139,14 @@ export const LowballRank = {
  * @property {number} [blinds.small=10] - Small blind
  * @property {number} [blinds.big=20] - Big blind
  * @property {number} [timeout=30000] - Action timeout in ms
+ * @property {string} [bettingStructure] - 'fixed-limit', 'pot-limit' or 'no-limit' (default: from limitBetting)
  * @property {boolean} [limitBetting=true] - Use limit betting structure
  * @property {number} [betLimit] - Fixed bet limit (if limitBetting is true)
+ * @property {number} [smallBet] - Bet size for PRE_DRAW and POST_FIRST_DRAW (default: big blind)
+ * @property {number} [bigBet] - Bet size for POST_SECOND_DRAW and POST_THIRD_DRAW (default: 2x small bet)
+ * @property {Object.<GamePhase, number>} [betSchedule] - Per-round bet size overrides
+ * @property {number} [ante=0] - Ante amount posted before the blinds
+ * @property {string} [anteType='per-player'] - One of the AnteTypes values
  */
 
 /**
@@ -131,3 +164,60 @@ export const LowballRank = {
  * @property {number} cardsDiscarded - Number of cards discarded
  * @property {string[]} newCards - New cards received
  */
+
+/**
+ * @typedef {Object} ParsedHand
+ * @property {string} site - Site named in the header, e.g. 'PokerStars'
+ * @property {string} handId - Hand number from the header
+ * @property {string} bettingStructure - One of the Limits values
+ * @property {{small: number, big: number}} stakes - Stakes from the header
+ * @property {number} chipScale - 100 when cash amounts were converted to cents, else 1
+ * @property {string} startedAt - Date and time as written in the header
+ * @property {string|null} tableName - Table name
+ * @property {number|null} maxPlayers - Table size
+ * @property {number|null} buttonSeat - Seat number of the button, as written
+ * @property {ParsedSeat[]} seats - Seats in the order listed
+ * @property {Object.<string, string[]>} holeCards - Dealt cards by player name, where known
+ * @property {ParsedRound[]} rounds - Pre-draw round, then one per draw
+ * @property {boolean} showdown - Whether the hand went to showdown
+ * @property {{player: string, cards: string[], description: string}[]} shownHands - Shown hands
+ * @property {string[]} mucked - Players who mucked at showdown
+ * @property {{player: string, amount: number, pot: string}[]} collected - Pot winnings
+ * @property {number|null} totalPot - Total pot from the summary
+ * @property {number} rake - Rake from the summary
+ */
+
+/**
+ * @typedef {Object} ParsedSeat
+ * @property {number} seat - Seat number, as written
+ * @property {string} name - Player name
+ * @property {number} chips - Starting stack
+ * @property {boolean} sittingOut - Whether the player sat the hand out
+ */
+
+/**
+ * @typedef {Object} ParsedRound
+ * @property {GamePhase} phase - Betting round
+ * @property {string|null} drawPhase - Draw before the round ('first-draw'...), null pre-draw
+ * @property {{card: string|null}|null} burn - Card burned before the draw, with a null card
+ *   when the history hides it; null when nothing was burned
+ * @property {ParsedDraw[]} draws - Draws before the round, in order
+ * @property {ParsedAction[]} actions - Forced bets, betting actions and returned bets in order
+ */
+
+/**
+ * @typedef {Object} ParsedDraw
+ * @property {string} player - Player name
+ * @property {number} count - Cards taken, 0 for standing pat
+ * @property {string[]|null} discarded - Cards thrown, null when the history doesn't show them
+ * @property {string[]|null} drawn - Cards received, null when the history doesn't show them
+ */
+
+/**
+ * @typedef {Object} ParsedAction
+ * @property {string} player - Player name
+ * @property {Action|HistoryAction} action - The action type
+ * @property {number} [amount] - Chips put in, the raise size for RAISE, or the chips returned
+ * @property {number} [totalBet] - The player's bet after a RAISE
+ * @property {boolean} [allIn] - Whether the action put the player all-in
+ */
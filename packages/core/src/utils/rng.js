@@ -0,0 +1,104 @@
+/**
+ * Random number generators for shuffling and picking the first button
+ *
+ * An RNG is any object with `next()`, returning a float in [0, 1), and
+ * `nextInt(max)`, returning an integer in [0, max). `seed` is the seed it
+ * was created from, or null if it can't be reproduced. `fork()` returns the
+ * RNG to use for one hand, so each hand can be replayed from its own seed.
+ */
+
+import { randomInt } from 'node:crypto';
+
+const UINT32 = 0x100000000;
+
+/**
+ * Turn a number or string seed into a 32-bit integer (FNV-1a for strings)
+ * @param {number|string} seed
+ * @returns {number}
+ */
+function toUint32(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+  if (typeof seed === 'string') {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+  }
+  throw new Error(`RNG seed must be a number or a string, got ${typeof seed}: ${seed}`);
+}
+
+/**
+ * Deterministic mulberry32 generator for tests and simulations
+ *
+ * The same seed always gives the same shuffles. Not for real-money play.
+ */
+export class SeededRng {
+  /**
+   * @param {number|string} seed - Integer or string seed
+   */
+  constructor(seed) {
+    this.seed = seed;
+    this.state = toUint32(seed);
+  }
+
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32;
+  }
+
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * A generator for one hand, seeded from this one
+   * @returns {SeededRng}
+   */
+  fork() {
+    return new SeededRng(this.nextInt(UINT32));
+  }
+}
+
+/**
+ * Cryptographically secure generator backed by node:crypto, for real-money play
+ */
+export class CryptoRng {
+  constructor() {
+    this.seed = null;
+  }
+
+  next() {
+    return randomInt(2 ** 47) / 2 ** 47;
+  }
+
+  nextInt(max) {
+    return randomInt(max);
+  }
+
+  fork() {
+    return this;
+  }
+}
+
+/**
+ * RNG from a config's `rng` or `seed`, defaulting to CryptoRng
+ * @param {Object} config
+ * @param {Object} [config.rng] - RNG to use as is
+ * @param {number|string} [config.seed] - Seed for a SeededRng
+ * @returns {Object} RNG
+ */
+export function createRng({ rng, seed } = {}) {
+  if (rng) {
+    if (typeof rng.next !== 'function' || typeof rng.nextInt !== 'function') {
+      throw new Error('rng must implement next() and nextInt(max)');
+    }
+    return rng;
+  }
+  return seed !== undefined && seed !== null ? new SeededRng(seed) : new CryptoRng();
+}
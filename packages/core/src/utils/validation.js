@@ -2,6 +2,8 @@
  * Validation utilities for poker game amounts
  */
 
+import { DEFAULT_CONFIG, Limits } from '../constants.js';
+
 /**
  * Validates that a value is a valid integer amount for chips/bets
  * @param {any} value - The value to validate
@@ -101,3 +103,146 @@ export function validateBet(amount, minBet = 0, maxBet = Infinity) {
 
   return validatedAmount;
 }
+
+/**
+ * Resolves the betting structure, falling back to the legacy limitBetting flag
+ * @param {string} [structure] - One of the Limits values
+ * @param {boolean} [limitBetting] - Legacy flag; false means no-limit
+ * @returns {string} The validated betting structure
+ * @throws {Error} If the structure is not a known Limits value
+ */
+export function validateBettingStructure(structure, limitBetting) {
+  if (structure === undefined || structure === null) {
+    return limitBetting === false ? Limits.NO_LIMIT : Limits.FIXED_LIMIT;
+  }
+
+  if (!Object.values(Limits).includes(structure)) {
+    throw new Error(
+      `betting structure must be one of ${Object.values(Limits).join(', ')}, got ${structure}`
+    );
+  }
+
+  return structure;
+}
+
+// Why a draw action was rejected, as InvalidDrawError.reason
+export const InvalidDrawReason = {
+  MALFORMED: 'malformed', // Not a draw action object, or both indices and cards given
+  INVALID_COUNT: 'invalid-count', // cardsToDiscard isn't a whole number of cards in the hand
+  INVALID_INDICES: 'invalid-indices', // discardIndices isn't an array
+  INVALID_CARDS: 'invalid-cards', // discardCards isn't an array
+  COUNT_MISMATCH: 'count-mismatch', // Indices or cards listed differ from cardsToDiscard
+  INDEX_OUT_OF_RANGE: 'index-out-of-range',
+  DUPLICATE_INDEX: 'duplicate-index',
+  CARD_NOT_IN_HAND: 'card-not-in-hand',
+  DUPLICATE_CARD: 'duplicate-card',
+};
+
+/**
+ * Error for a draw action that breaks the draw rules
+ */
+export class InvalidDrawError extends Error {
+  /**
+   * @param {string} message - What is wrong with the draw
+   * @param {string} reason - One of InvalidDrawReason
+   * @param {Object} drawAction - The draw action as submitted
+   */
+  constructor(message, reason, drawAction) {
+    super(message);
+    this.name = 'InvalidDrawError';
+    this.reason = reason;
+    this.drawAction = drawAction;
+  }
+}
+
+/**
+ * Validates a player's draw action against their hand
+ *
+ * Cards to throw are given as hand positions in `discardIndices`, or as the
+ * cards themselves ("Kd" or card objects) in `discardCards`, which are turned
+ * into positions. `cardsToDiscard` may be left out with `discardCards`.
+ * @param {Object} drawAction - `{ cardsToDiscard, discardIndices }` or
+ *   `{ discardCards }` from getDrawAction
+ * @param {Object[]|number} [hand=5] - The player's hand, or just its size when no cards are named
+ * @returns {{cardsToDiscard: number, discardIndices: number[]|null}} The draw; indices are
+ *   null when the player only gave a count
+ * @throws {InvalidDrawError} If the draw can't be carried out as given
+ */
+export function validateDrawAction(drawAction, hand = DEFAULT_CONFIG.CARDS_PER_HAND) {
+  const reject = (message, reason) => {
+    throw new InvalidDrawError(message, reason, drawAction);
+  };
+
+  if (typeof drawAction !== 'object' || drawAction === null) {
+    reject(`Draw action must be an object, got ${drawAction}`, InvalidDrawReason.MALFORMED);
+  }
+
+  const { discardIndices, discardCards } = drawAction;
+  const namesCards = discardCards !== undefined && discardCards !== null;
+  if (namesCards && discardIndices !== undefined && discardIndices !== null) {
+    reject('Give discardIndices or discardCards, not both', InvalidDrawReason.MALFORMED);
+  }
+  if (namesCards && !Array.isArray(discardCards)) {
+    reject('discardCards must be an array', InvalidDrawReason.INVALID_CARDS);
+  }
+
+  const handSize = Array.isArray(hand) ? hand.length : hand;
+  const cardsToDiscard =
+    drawAction.cardsToDiscard ?? (namesCards ? discardCards.length : undefined);
+  const maxDiscard = Math.min(handSize, DEFAULT_CONFIG.MAX_DISCARD);
+  if (!Number.isInteger(cardsToDiscard) || cardsToDiscard < 0 || cardsToDiscard > maxDiscard) {
+    reject(
+      `cardsToDiscard must be a whole number from 0 to ${maxDiscard}, got ${cardsToDiscard}`,
+      InvalidDrawReason.INVALID_COUNT
+    );
+  }
+
+  if (namesCards) {
+    if (discardCards.length !== cardsToDiscard) {
+      reject(
+        `discardCards has ${discardCards.length} cards for ${cardsToDiscard} to discard`,
+        InvalidDrawReason.COUNT_MISMATCH
+      );
+    }
+    // Messages name the position in discardCards, not the card, since rejections are public
+    const handCards = Array.isArray(hand) ? hand.map(String) : [];
+    const indices = discardCards.map((card, i) => {
+      const name = typeof card === 'object' && card !== null ? `${card.rank}${card.suit}` : card;
+      const index = handCards.indexOf(name);
+      if (index === -1) {
+        reject(`discardCards[${i}] is not a card in the hand`, InvalidDrawReason.CARD_NOT_IN_HAND);
+      }
+      return index;
+    });
+    if (new Set(indices).size !== indices.length) {
+      reject('discardCards lists a card more than once', InvalidDrawReason.DUPLICATE_CARD);
+    }
+    return { cardsToDiscard, discardIndices: indices };
+  }
+
+  if (discardIndices === undefined || discardIndices === null) {
+    return { cardsToDiscard, discardIndices: null };
+  }
+  if (!Array.isArray(discardIndices)) {
+    reject('discardIndices must be an array', InvalidDrawReason.INVALID_INDICES);
+  }
+  if (discardIndices.length !== cardsToDiscard) {
+    reject(
+      `discardIndices has ${discardIndices.length} entries for ${cardsToDiscard} cards`,
+      InvalidDrawReason.COUNT_MISMATCH
+    );
+  }
+  for (const index of discardIndices) {
+    if (!Number.isInteger(index) || index < 0 || index >= handSize) {
+      reject(
+        `Discard index ${index} is not a position from 0 to ${handSize - 1}`,
+        InvalidDrawReason.INDEX_OUT_OF_RANGE
+      );
+    }
+  }
+  if (new Set(discardIndices).size !== discardIndices.length) {
+    reject('discardIndices lists a position more than once', InvalidDrawReason.DUPLICATE_INDEX);
+  }
+
+  return { cardsToDiscard, discardIndices: [...discardIndices] };
+}
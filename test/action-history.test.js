@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { Action, GamePhase, HistoryAction } from '../packages/core/src/types/index.js';
+import { createPlayer, createEngine } from './helpers.js';
+
+const summarize = (history) =>
+  history.map(({ action, playerId, amount, pot }) => [action, playerId, amount, pot]);
+
+describe('Action history', () => {
+  it('should log forced bets and betting actions with the running pot', async () => {
+    const players = [
+      createPlayer('btn', 1000, { actions: [{ action: Action.RAISE, amount: 20 }] }),
+      createPlayer('sb', 1000, { actions: [{ action: Action.FOLD }] }),
+      createPlayer('bb', 1000, { actions: [{ action: Action.FOLD }] }),
+    ];
+    const engine = createEngine(players, { ante: 5 });
+
+    let result;
+    engine.on('hand:ended', (data) => (result = data));
+    await engine.start();
+
+    expect(summarize(result.actionHistory)).toEqual([
+      [HistoryAction.ANTE, 'btn', 5, 5],
+      [HistoryAction.ANTE, 'sb', 5, 10],
+      [HistoryAction.ANTE, 'bb', 5, 15],
+      [HistoryAction.SMALL_BLIND, 'sb', 10, 25],
+      [HistoryAction.BIG_BLIND, 'bb', 20, 45],
+      [Action.RAISE, 'btn', 40, 85],
+      [Action.FOLD, 'sb', 0, 85],
+      [Action.FOLD, 'bb', 0, 85],
+      [HistoryAction.UNCALLED_BET, 'btn', 20, 65],
+    ]);
+    expect(result.actionHistory[5]).toMatchObject({
+      seat: 0,
+      phase: GamePhase.PRE_DRAW,
+      totalBet: 40,
+    });
+    expect(result.actionHistory.every((entry) => typeof entry.timestamp === 'number')).toBe(true);
+  });
+
+  it('should log draws and stand-pats under the draw phase', async () => {
+    const players = [
+      createPlayer('btn', 1000, {
+        defaultAction: { action: Action.CALL },
+        defaultDraw: { cardsToDiscard: 2 },
+      }),
+      createPlayer('bb', 1000, { defaultAction: { action: Action.CHECK } }),
+    ];
+    const engine = createEngine(players);
+
+    let result;
+    engine.on('hand:ended', (data) => (result = data));
+    await engine.start();
+
+    const draws = result.actionHistory.filter(
+      (entry) => entry.action === Action.DRAW || entry.action === Action.STAND_PAT
+    );
+    expect(draws.slice(0, 2)).toMatchObject([
+      { action: Action.STAND_PAT, playerId: 'bb', phase: 'first-draw', cards: 0, amount: 0 },
+      { action: Action.DRAW, playerId: 'btn', phase: 'first-draw', cards: 2, amount: 0 },
+    ]);
+    expect(draws.map((entry) => entry.phase)).toEqual([
+      'first-draw',
+      'first-draw',
+      'second-draw',
+      'second-draw',
+      'third-draw',
+      'third-draw',
+    ]);
+  });
+
+  it("should keep the positions a player threw out of everyone's view", async () => {
+    const players = [
+      createPlayer('btn', 1000, {
+        defaultAction: { action: Action.CALL },
+        defaultDraw: { cardsToDiscard: 2 },
+      }),
+      createPlayer('bb', 1000, { defaultAction: { action: Action.CHECK } }),
+    ];
+    const engine = createEngine(players);
+
+    let result;
+    engine.on('hand:ended', (data) => (result = data));
+    await engine.start();
+
+    for (const history of [
+      result.actionHistory,
+      engine.getGameStateFor('bb').actionHistory,
+      engine.getGameStateFor(null).actionHistory,
+    ]) {
+      expect(history.some((entry) => entry.action === Action.DRAW)).toBe(true);
+      expect(history.filter((entry) => 'discardIndices' in entry)).toEqual([]);
+    }
+
+    // Replays still get them from the engine's private record
+    expect(engine.drawDiscards.map(({ playerId, phase }) => [playerId, phase])).toEqual([
+      ['btn', 'first-draw'],
+      ['btn', 'second-draw'],
+      ['btn', 'third-draw'],
+    ]);
+    expect(engine.drawDiscards[0].discardIndices).toHaveLength(2);
+  });
+
+  it('should expose the history in game state and reset it each hand', () => {
+    const players = [createPlayer('a', 1000), createPlayer('b', 1000)];
+    const engine = createEngine(players);
+
+    engine.initializeHand();
+    const state = engine.getGameStateFor('a');
+    expect(state.actionHistory.map((entry) => entry.action)).toEqual([
+      HistoryAction.SMALL_BLIND,
+      HistoryAction.BIG_BLIND,
+    ]);
+
+    // The state holds a copy
+    state.actionHistory.pop();
+    expect(engine.getGameState().actionHistory.length).toBe(2);
+
+    engine.initializeHand();
+    expect(engine.getGameState().actionHistory.length).toBe(2);
+  });
+
+  it('should use table seat numbers and pass the history to hand:completed', async () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      maxPlayers: 6,
+      dealerButton: 2,
+      simulationMode: true,
+    });
+    table.addPlayer(createPlayer('a', 1000), { seat: 2 });
+    table.addPlayer(createPlayer('b', 1000), { seat: 5 });
+
+    let completed;
+    table.on('hand:completed', (data) => (completed = data));
+    await table.tryStartGame();
+
+    expect(
+      completed.actionHistory.map(({ action, playerId, seat }) => [action, playerId, seat])
+    ).toEqual([
+      [HistoryAction.SMALL_BLIND, 'a', 2],
+      [HistoryAction.BIG_BLIND, 'b', 5],
+      [Action.FOLD, 'a', 2],
+      [HistoryAction.UNCALLED_BET, 'b', 5],
+    ]);
+  });
+});
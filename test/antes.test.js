@@ -0,0 +1,136 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { AnteTypes, Limits } from '../packages/core/src/constants.js';
+import { Action, GamePhase, PlayerState } from '../packages/core/src/types/index.js';
+import { createPlayer, createEngine } from './helpers.js';
+
+describe('Antes', () => {
+  it('should post per-player antes before the blinds', () => {
+    const players = [createPlayer('btn', 1000), createPlayer('sb', 1000), createPlayer('bb', 1000)];
+    const engine = createEngine(players, { ante: 5 });
+
+    const posted = [];
+    engine.on('ante:posted', (data) => posted.push(['ante', data.playerId, data.amount]));
+    engine.on('blind:posted', (data) => posted.push([data.type, data.playerId, data.amount]));
+    engine.initializeHand();
+
+    expect(posted).toEqual([
+      ['ante', 'btn', 5],
+      ['ante', 'sb', 5],
+      ['ante', 'bb', 5],
+      ['small', 'sb', 10],
+      ['big', 'bb', 20],
+    ]);
+    expect(engine.potManager.getTotalPot()).toBe(45);
+    expect(players.map((p) => p.bet)).toEqual([0, 10, 20]);
+  });
+
+  it('should take a single ante from the big blind or the button', () => {
+    const players = [createPlayer('btn', 1000), createPlayer('sb', 1000), createPlayer('bb', 1000)];
+
+    const bbAnte = createEngine(players, { ante: 20, anteType: AnteTypes.BIG_BLIND });
+    bbAnte.initializeHand();
+    expect(players.map((p) => p.chips)).toEqual([1000, 990, 960]);
+    expect(bbAnte.potManager.getTotalPot()).toBe(50);
+
+    players.forEach((p) => (p.chips = 1000));
+    const buttonAnte = createEngine(players, { ante: 15, anteType: AnteTypes.BUTTON });
+    const posted = [];
+    buttonAnte.on('ante:posted', (data) => posted.push(data));
+    buttonAnte.initializeHand();
+    expect(posted).toEqual([{ playerId: 'btn', amount: 15, type: AnteTypes.BUTTON }]);
+    expect(players.map((p) => p.chips)).toEqual([985, 990, 980]);
+  });
+
+  it('should cap the main pot when a player can only cover part of the ante', () => {
+    const players = [createPlayer('btn', 3), createPlayer('sb', 1000), createPlayer('bb', 1000)];
+    const engine = createEngine(players, { ante: 5 });
+
+    engine.initializeHand();
+
+    expect(players[0].state).toBe(PlayerState.ALL_IN);
+    expect(engine.potManager.getPotsInfo().map((pot) => [pot.amount, pot.eligiblePlayers])).toEqual(
+      [
+        [9, ['btn', 'sb', 'bb']],
+        [34, ['sb', 'bb']],
+      ]
+    );
+  });
+
+  it('should let a short big blind post the blind before the ante', () => {
+    const players = [createPlayer('btn', 1000), createPlayer('sb', 1000), createPlayer('bb', 30)];
+    const engine = createEngine(players, { ante: 20, anteType: AnteTypes.BIG_BLIND });
+
+    const antes = [];
+    engine.on('ante:posted', (data) => antes.push(data.amount));
+    engine.initializeHand();
+
+    expect(antes).toEqual([10]);
+    expect(players[2].bet).toBe(20);
+    expect(players[2].state).toBe(PlayerState.ALL_IN);
+  });
+
+  it('should keep a button all-in on its ante eligible for the dead money', () => {
+    const players = [createPlayer('btn', 10), createPlayer('sb', 1000), createPlayer('bb', 1000)];
+    const engine = createEngine(players, { ante: 20, anteType: AnteTypes.BUTTON });
+
+    engine.initializeHand();
+
+    expect(players[0].state).toBe(PlayerState.ALL_IN);
+    expect(engine.potManager.getPotsInfo().map((pot) => [pot.amount, pot.eligiblePlayers])).toEqual(
+      [
+        [10, ['btn', 'sb', 'bb']],
+        [30, ['sb', 'bb']],
+      ]
+    );
+  });
+
+  it('should play an ante-only hand without blinds', async () => {
+    const players = ['a', 'b', 'c', 'd'].map((id) =>
+      createPlayer(id, 100, { defaultAction: { action: Action.CHECK } })
+    );
+    const engine = createEngine(players, {
+      blinds: { small: 0, big: 0 },
+      bettingStructure: Limits.NO_LIMIT,
+      ante: 5,
+    });
+
+    const blinds = [];
+    let result;
+    engine.on('blind:posted', (data) => blinds.push(data));
+    engine.on('hand:ended', (data) => (result = data));
+    await engine.start();
+
+    expect(blinds).toEqual([]);
+    expect(result.showdown).toBe(true);
+    expect(result.pots[0].amount).toBe(20);
+    expect(players.reduce((sum, p) => sum + p.chips, 0)).toBe(400);
+
+    // With no blinds, pre-draw action starts left of the button, like after the draws
+    const checks = (phase) =>
+      engine.actionHistory
+        .filter((entry) => entry.phase === phase && entry.action === Action.CHECK)
+        .map((entry) => entry.playerId);
+    expect(checks(GamePhase.PRE_DRAW)).toEqual(['b', 'c', 'd', 'a']);
+    expect(checks(GamePhase.POST_FIRST_DRAW)).toEqual(['b', 'c', 'd', 'a']);
+
+    // Nobody has a big blind option to keep the round open
+    players.forEach((p) => (p.chips = 100));
+    const next = createEngine(players, { blinds: { small: 0, big: 0 }, ante: 5 });
+    next.initializeHand();
+    expect(players.map((p) => p.hasOption)).toEqual([false, false, false, false]);
+  });
+
+  it('should forward ante:posted through the Table', async () => {
+    const table = new Table({ blinds: { small: 10, big: 20 }, ante: 5, simulationMode: true });
+    table.addPlayer(createPlayer('a', 1000));
+    table.addPlayer(createPlayer('b', 1000));
+
+    const antes = [];
+    table.on('ante:posted', (data) => antes.push(data));
+    await table.tryStartGame();
+
+    expect(antes.length).toBe(2);
+    expect(antes[0]).toMatchObject({ amount: 5, type: AnteTypes.PER_PLAYER, tableId: table.id });
+  });
+});
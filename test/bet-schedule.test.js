@@ -0,0 +1,104 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { Action, GamePhase } from '../packages/core/src/types/index.js';
+import { checkOrCall, createPlayer, createEngine } from './helpers.js';
+
+/**
+ * Betting action that bets the round's bet size when checked to after the draw,
+ * and checks or calls otherwise
+ */
+const betTheSize = (gameState, playerId) => {
+  const toCall = gameState.currentBet - gameState.players[playerId].bet;
+  if (toCall > 0 || gameState.phase === GamePhase.PRE_DRAW) {
+    return checkOrCall(gameState, playerId);
+  }
+  return { action: Action.BET, amount: gameState.betSize };
+};
+
+const createPlayers = (ids, config) => ids.map((id) => createPlayer(id, 1000, config));
+
+describe('Small-bet / big-bet fixed-limit structure', () => {
+  it('should default to small bet = big blind and big bet = 2x big blind', () => {
+    const engine = createEngine(createPlayers(['a', 'b']));
+
+    expect(engine.getBetSize(GamePhase.PRE_DRAW)).toBe(20);
+    expect(engine.getBetSize(GamePhase.POST_FIRST_DRAW)).toBe(20);
+    expect(engine.getBetSize(GamePhase.POST_SECOND_DRAW)).toBe(40);
+    expect(engine.getBetSize(GamePhase.POST_THIRD_DRAW)).toBe(40);
+
+    // Draw phases report the size of the betting round that follows them
+    expect(engine.getBetSize(GamePhase.FIRST_DRAW)).toBe(20);
+    expect(engine.getBetSize(GamePhase.SECOND_DRAW)).toBe(40);
+  });
+
+  it('should accept explicit sizes and per-round overrides', () => {
+    const engine = createEngine(createPlayers(['a', 'b']), {
+      smallBet: 25,
+      bigBet: 50,
+      betSchedule: { [GamePhase.POST_THIRD_DRAW]: 75 },
+    });
+
+    expect(engine.config.betSchedule).toEqual({
+      [GamePhase.PRE_DRAW]: 25,
+      [GamePhase.POST_FIRST_DRAW]: 25,
+      [GamePhase.POST_SECOND_DRAW]: 50,
+      [GamePhase.POST_THIRD_DRAW]: 75,
+    });
+  });
+
+  it('should bet the small bet early and the big bet late in a full hand', async () => {
+    const players = createPlayers(['a', 'b'], { defaultAction: betTheSize });
+    const engine = createEngine(players);
+
+    const bets = [];
+    engine.on('player:bet', ({ amount }) => bets.push([engine.phase, amount]));
+    const toAct = [];
+    engine.on('player:to:act', ({ betSize }) => toAct.push([engine.phase, betSize]));
+
+    await engine.start();
+
+    expect(bets).toEqual([
+      [GamePhase.POST_FIRST_DRAW, 20],
+      [GamePhase.POST_SECOND_DRAW, 40],
+      [GamePhase.POST_THIRD_DRAW, 40],
+    ]);
+    expect(toAct[0]).toEqual([GamePhase.PRE_DRAW, 20]);
+    expect(toAct[toAct.length - 1]).toEqual([GamePhase.POST_THIRD_DRAW, 40]);
+    expect(players[0].chips + players[1].chips).toBe(2000);
+  });
+
+  it('should reject a raise that does not match the current round size', async () => {
+    const players = createPlayers(['a', 'b', 'c']);
+    const engine = createEngine(players);
+
+    engine.initializeHand();
+    engine.phase = GamePhase.POST_SECOND_DRAW;
+    players.forEach((p) => (p.bet = 0));
+
+    expect(engine.getGameState().betSize).toBe(40);
+    expect(engine.getBettingLimits(players[0]).betSize).toBe(40);
+    await expect(
+      engine.handleAction(players[0], { action: Action.BET, amount: 20 })
+    ).rejects.toThrow('Raise must be exactly 40');
+  });
+
+  it('should put in the call plus one bet when raising', async () => {
+    const players = createPlayers(['a', 'b', 'c']);
+    const engine = createEngine(players);
+
+    const raises = [];
+    engine.on('player:raised', (data) => raises.push(data));
+
+    // UTG raises the big blind; the blinds then fold
+    engine.initializeHand();
+    await engine.handleAction(players[0], { action: Action.RAISE, amount: 20 });
+
+    expect(raises).toEqual([{ playerId: 'a', amount: 20, totalBet: 40 }]);
+  });
+
+  it('should expose small and big bet in the Table config', () => {
+    const table = new Table({ blinds: { small: 5, big: 10 } });
+    expect(table.config.smallBet).toBe(10);
+    expect(table.config.bigBet).toBe(20);
+  });
+});
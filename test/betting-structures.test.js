@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { Limits } from '../packages/core/src/constants.js';
+import { Action, PlayerState } from '../packages/core/src/types/index.js';
+import { createPlayer, createEngine } from './helpers.js';
+
+describe('Betting structures', () => {
+  it('should resolve the structure from the legacy limitBetting flag', () => {
+    const players = [createPlayer('a', 1000), createPlayer('b', 1000)];
+
+    expect(createEngine(players).config.bettingStructure).toBe(Limits.FIXED_LIMIT);
+    expect(new Table({ limitBetting: false }).config).toMatchObject({
+      bettingStructure: Limits.NO_LIMIT,
+      limitBetting: false,
+    });
+
+    const potLimit = createEngine(players, { bettingStructure: Limits.POT_LIMIT });
+    expect(potLimit.config.limitBetting).toBe(false);
+    expect(() => createEngine(players, { bettingStructure: 'spread-limit' })).toThrow(
+      'betting structure must be one of'
+    );
+  });
+
+  it('should size pot-limit raises including the pending call', () => {
+    const players = [createPlayer('btn', 1000), createPlayer('sb', 1000), createPlayer('bb', 1000)];
+    const engine = createEngine(players, { bettingStructure: Limits.POT_LIMIT });
+
+    engine.initializeHand();
+    engine.lastRaiseSize = 20;
+
+    // Pot of 30 plus the 20 call: raise by 50 to 70
+    expect(engine.getBettingLimits(players[0])).toEqual({
+      toCall: 20,
+      minRaise: 20,
+      maxRaise: 50,
+      betSize: 20,
+    });
+    expect(engine.getValidActions(players[0])).not.toContain(Action.ALL_IN);
+
+    players[0].chips = 60;
+    expect(engine.getValidActions(players[0])).toContain(Action.ALL_IN);
+  });
+
+  it('should require no-limit raises to at least match the last raise', async () => {
+    const players = [
+      createPlayer('btn', 1000, { actions: [{ action: Action.RAISE, amount: 60 }] }),
+      createPlayer('sb', 1000, { actions: [{ action: Action.RAISE, amount: 40 }] }),
+      createPlayer('bb', 1000, { actions: [{ action: Action.RAISE, amount: 100 }] }),
+    ];
+    const engine = createEngine(players, { bettingStructure: Limits.NO_LIMIT });
+
+    const prompts = [];
+    const raises = [];
+    engine.on('player:to:act', (data) => prompts.push(data));
+    engine.on('player:raised', (data) => raises.push(data));
+
+    await engine.start();
+
+    expect(prompts[1].limits).toMatchObject({ toCall: 70, minRaise: 60, maxRaise: 920 });
+    expect(raises).toEqual([
+      { playerId: 'btn', amount: 60, totalBet: 80 },
+      { playerId: 'bb', amount: 100, totalBet: 180 },
+    ]);
+    expect(players[1].state).toBe(PlayerState.FOLDED);
+  });
+
+  it('should allow a no-limit raise below the minimum only when it is all-in', async () => {
+    const players = [createPlayer('btn', 1000), createPlayer('sb', 1000), createPlayer('bb', 1000)];
+    const engine = createEngine(players, { bettingStructure: Limits.NO_LIMIT });
+
+    engine.initializeHand();
+    engine.lastRaiseSize = 20;
+
+    await expect(
+      engine.handleAction(players[0], { action: Action.RAISE, amount: 10 })
+    ).rejects.toThrow('Raise must be at least 20');
+    await expect(
+      engine.handleAction(players[0], { action: Action.RAISE, amount: 2000 })
+    ).rejects.toThrow('Raise cannot exceed 980');
+
+    players[0].chips = 30;
+    expect(engine.getBettingLimits(players[0])).toMatchObject({ minRaise: 10, maxRaise: 10 });
+  });
+
+  it('should reject a pot-limit all-in that exceeds the pot', async () => {
+    const players = [
+      createPlayer('btn', 1000, { actions: [{ action: Action.ALL_IN }] }),
+      createPlayer('sb', 1000),
+      createPlayer('bb', 1000),
+    ];
+    const engine = createEngine(players, { bettingStructure: Limits.POT_LIMIT });
+
+    const allIns = [];
+    engine.on('player:all-in', (data) => allIns.push(data));
+    await engine.start();
+
+    expect(allIns).toEqual([]);
+    expect(players[0].state).toBe(PlayerState.FOLDED);
+    expect(engine.getGameState()).toMatchObject({ bettingStructure: Limits.POT_LIMIT });
+  });
+});
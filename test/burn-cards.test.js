@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { ScriptedDeck } from '../packages/core/src/game/ScriptedDeck.js';
+import { HandRecorder } from '../packages/core/src/history/HandRecorder.js';
+import { replayHand } from '../packages/core/src/history/replayHand.js';
+import { HandHistoryWriter } from '../packages/core/src/history/HandHistoryWriter.js';
+import { parseHandHistory } from '../packages/core/src/history/HandHistoryParser.js';
+import { replayParsedHand } from '../packages/core/src/history/replayParsedHand.js';
+import { OhhExporter } from '../packages/core/src/history/OhhExporter.js';
+import { importOhh } from '../packages/core/src/history/OhhImporter.js';
+import { checkOrCall, createPlayer } from './helpers.js';
+
+// Players check or call and throw the same hand positions in every draw
+const createDrawingPlayer = (id, discardIndices = []) =>
+  createPlayer(id, 1000, { defaultAction: checkOrCall, defaultDraw: discardIndices });
+
+/**
+ * Play one hand and return the engine, its record and the burn and reshuffle events
+ */
+const playHand = async (config, players) => {
+  const table = new Table({ blinds: { small: 10, big: 20 }, simulationMode: true, ...config });
+  const recorder = new HandRecorder(table);
+  let engine;
+  const burned = [];
+  const reshuffles = [];
+  const errors = [];
+  table.on('game:started', () => (engine = table.gameEngine));
+  table.on('card:burned', (data) => burned.push(data));
+  table.on('deck:reshuffled', (data) => reshuffles.push(data));
+  table.on('game:error', ({ error }) => errors.push(error));
+  players.forEach((player) => table.addPlayer(player));
+  await table.tryStartGame();
+  return { engine, hand: recorder.hands[0], burned, reshuffles, errors };
+};
+
+const sixDrawingFive = () =>
+  ['a', 'b', 'c', 'd', 'e', 'f'].map((id) => createDrawingPlayer(id, [0, 1, 2, 3, 4]));
+
+describe('Burning a card before each draw', () => {
+  it('should burn before the replacements and keep burns apart from the discards', async () => {
+    const { engine, hand, burned } = await playHand(
+      {
+        dealerButton: 0,
+        burnBeforeDraw: true,
+        deck: new ScriptedDeck({
+          deal: ['7h 5d 4c 3s Kd', '8h 6d 4d 3c Qc'],
+          draws: ['2d', '9c', 'Tc'],
+        }),
+      },
+      [createDrawingPlayer('a', [4]), createDrawingPlayer('b')]
+    );
+
+    // The scripted replacements still reach the drawing player
+    expect(engine.playerHands.get('a').map(String)).toEqual(['7h', '5d', '4c', '3s', 'Tc']);
+    expect(engine.deck.discardPile.map(String)).toEqual(['Kd', '2d', '9c']);
+    expect(engine.deck.burnPile.map(String)).toEqual(['2h', '3h', '4h']);
+
+    // The stub leaves out the three scripted replacements until their draws
+    expect(burned).toMatchObject([
+      { phase: 'first-draw', drawNumber: 1, remaining: 38 },
+      { phase: 'second-draw', drawNumber: 2, remaining: 37 },
+      { phase: 'third-draw', drawNumber: 3, remaining: 36 },
+    ]);
+    expect(hand.burns).toEqual([
+      { drawNumber: 1, phase: 'first-draw', card: '2h' },
+      { drawNumber: 2, phase: 'second-draw', card: '3h' },
+      { drawNumber: 3, phase: 'third-draw', card: '4h' },
+    ]);
+    expect(hand.config).toMatchObject({ burnBeforeDraw: true, reshuffleBurns: false });
+  });
+
+  it('should not burn unless the table asks for it', async () => {
+    const { engine, hand, burned } = await playHand({ seed: 2 }, sixDrawingFive().slice(0, 2));
+    expect(burned).toEqual([]);
+    expect(hand.burns).toEqual([]);
+    expect(engine.deck.burnPile).toEqual([]);
+  });
+
+  it('should reshuffle burned cards only under the house rule', async () => {
+    for (const reshuffleBurns of [false, true]) {
+      const { engine, hand, reshuffles, errors } = await playHand(
+        { seed: 'burns', burnBeforeDraw: true, reshuffleBurns },
+        sixDrawingFive()
+      );
+      expect(errors).toEqual([]);
+
+      // 22-card stub, less the burn; the fifth drawer finds one card left
+      expect(reshuffles[0]).toMatchObject({
+        phase: 'first-draw',
+        cardsReshuffled: reshuffleBurns ? 21 : 20,
+      });
+      if (!reshuffleBurns) {
+        expect(engine.deck.burnPile).toHaveLength(3);
+      }
+
+      // Every card is in exactly one place at the end
+      const everywhere = [
+        ...[...engine.playerHands.values()].flat(),
+        ...engine.deck.discardPile,
+        ...engine.deck.burnPile,
+        ...engine.deck.cards,
+      ].map(String);
+      expect(new Set(everywhere).size).toBe(52);
+      expect(everywhere).toHaveLength(52);
+
+      // Burns are part of the dealt sequence a replay has to repeat
+      for (const source of [{ deckOrder: null }, { seed: null }]) {
+        const replay = await replayHand({ ...hand, ...source });
+        expect(replay.divergences).toEqual([]);
+        expect(replay.engine.burns.map(({ card }) => String(card))).toEqual(
+          hand.burns.map(({ card }) => card)
+        );
+      }
+    }
+  });
+
+  it('should write burns into hand histories and OHH exports that read back', async () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      simulationMode: true,
+      dealerButton: 0,
+      burnBeforeDraw: true,
+      deck: new ScriptedDeck({
+        deal: ['7h 5d 4c 3s Kd', '8h 6d 4d 3c Qc'],
+        draws: ['2d', '9c', 'Tc'],
+      }),
+    });
+    const recorder = new HandRecorder(table);
+    const writer = new HandHistoryWriter(table, { recorder });
+    const exporter = new OhhExporter(table, { recorder });
+    [createDrawingPlayer('a', [4]), createDrawingPlayer('b')].forEach((p) => table.addPlayer(p));
+    await table.tryStartGame();
+
+    // Only the full history shows the burned cards; they come before the draw's cards
+    const [text] = writer.getHandHistories();
+    expect(text).toContain('*** FIRST DRAW ***\nDealer burns a card [2h]\nb: stands pat');
+    const burnsIn = (history) => parseHandHistory(history).rounds.map((round) => round.burn);
+    expect(burnsIn(text)).toEqual([null, { card: '2h' }, { card: '3h' }, { card: '4h' }]);
+    const [heroText] = writer.getHandHistories({ heroId: 'b' });
+    expect(burnsIn(heroText)).toEqual([null, { card: null }, { card: null }, { card: null }]);
+
+    for (const history of [text, heroText]) {
+      const replay = await replayParsedHand(parseHandHistory(history));
+      expect(replay.divergences).toEqual([]);
+      expect(replay.match).toBe(true);
+    }
+
+    const [{ ohh }] = exporter.getHands();
+    const imported = importOhh(JSON.stringify({ ohh }));
+    expect(imported.rounds[1].actions.map((a) => a.action)).toEqual([
+      'Stands Pat',
+      'Discard Cards',
+      'Burn Card',
+      'Dealt Cards',
+      'Check',
+      'Check',
+    ]);
+    const burnActions = (hand) =>
+      hand.rounds.flatMap((round) => round.actions).filter((a) => a.action === 'Burn Card');
+    expect(burnActions(imported).map((a) => a.cards)).toEqual([['2h'], ['3h'], ['4h']]);
+    expect(burnActions(imported)[0]).not.toHaveProperty('player_id');
+
+    const [hero] = exporter.getHands({ heroId: 'b' });
+    expect(burnActions(importOhh(hero)).map((a) => [a.card_count, a.cards])).toEqual([
+      [1, undefined],
+      [1, undefined],
+      [1, undefined],
+    ]);
+  });
+});
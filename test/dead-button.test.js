@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { Action } from '../packages/core/src/types/index.js';
+import { createPlayer, createEngine } from './helpers.js';
+
+const createTable = (playerIds, config = {}) => {
+  const table = new Table({
+    blinds: { small: 10, big: 20 },
+    dealerButton: 0,
+    simulationMode: true,
+    ...config,
+  });
+  playerIds.forEach((id) => table.addPlayer(createPlayer(id, 1000)));
+  return table;
+};
+
+/**
+ * Play one hand and collect where the button and blinds went
+ */
+const playHand = async (table) => {
+  const hand = { blinds: [], firstToAct: null };
+  const onStarted = (data) => (hand.started = data);
+  const onBlind = (data) => hand.blinds.push([data.type, data.playerId]);
+  const onToAct = (data) => (hand.firstToAct ??= data.playerId);
+
+  table.on('game:started', onStarted);
+  table.on('blind:posted', onBlind);
+  table.on('player:to:act', onToAct);
+  await table.tryStartGame();
+  table.off('game:started', onStarted);
+  table.off('blind:posted', onBlind);
+  table.off('player:to:act', onToAct);
+
+  return hand;
+};
+
+const seatsOf = ({ started }) => [started.buttonSeat, started.smallBlindSeat, started.bigBlindSeat];
+
+describe('Dead button rule', () => {
+  it('should move the button and blinds one seat per hand', async () => {
+    const table = createTable(['a', 'b', 'c', 'd']);
+
+    expect(seatsOf(await playHand(table))).toEqual([0, 1, 2]);
+    expect(seatsOf(await playHand(table))).toEqual([1, 2, 3]);
+    expect(seatsOf(await playHand(table))).toEqual([2, 3, 0]);
+  });
+
+  it('should leave the button on an empty seat when last small blind leaves', async () => {
+    const table = createTable(['a', 'b', 'c', 'd']);
+    await playHand(table);
+
+    table.removePlayer('b');
+    const hand = await playHand(table);
+
+    expect(hand.started).toMatchObject({
+      buttonSeat: 1,
+      smallBlindSeat: 2,
+      bigBlindSeat: 3,
+      isDeadButton: true,
+      isDeadSmallBlind: false,
+    });
+    expect(hand.blinds).toEqual([
+      ['small', 'c'],
+      ['big', 'd'],
+    ]);
+    expect(hand.firstToAct).toBe('a');
+  });
+
+  it('should play a dead small blind when last big blind leaves', async () => {
+    const table = createTable(['a', 'b', 'c', 'd']);
+    await playHand(table);
+
+    table.removePlayer('c');
+    const hand = await playHand(table);
+
+    expect(hand.started).toMatchObject({
+      buttonSeat: 1,
+      smallBlindSeat: null,
+      bigBlindSeat: 3,
+      isDeadSmallBlind: true,
+    });
+    expect(hand.blinds).toEqual([['big', 'd']]);
+    expect(hand.firstToAct).toBe('a');
+
+    // The next hand carries on normally from the dead seat
+    expect(seatsOf(await playHand(table))).toEqual([2, 3, 0]);
+  });
+
+  it('should never give the big blind to the same player twice in a row', async () => {
+    const table = createTable(['a', 'b', 'c']);
+    await playHand(table);
+
+    table.removePlayer('a');
+    const bigBlinds = [];
+    for (let i = 0; i < 3; i++) {
+      const hand = await playHand(table);
+      bigBlinds.push(hand.blinds.find(([type]) => type === 'big')[1]);
+    }
+
+    // c posted the big blind in the first hand
+    expect(bigBlinds).toEqual(['b', 'c', 'b']);
+  });
+
+  it('should keep the button in place with fixed positions', async () => {
+    const table = createTable(['a', 'b', 'c'], { fixedPositions: true, dealerButton: 1 });
+
+    expect(seatsOf(await playHand(table))).toEqual([1, 2, 0]);
+    expect(seatsOf(await playHand(table))).toEqual([1, 2, 0]);
+  });
+});
+
+describe('Action order after the draw', () => {
+  it('should start each post-draw round left of the button', async () => {
+    const players = ['btn', 'sb', 'bb'].map((id) =>
+      createPlayer(id, 1000, { defaultAction: { action: Action.CALL } })
+    );
+    const engine = createEngine(players);
+
+    const firstToAct = new Map();
+    const drawOrder = [];
+    engine.on('player:to:act', ({ playerId, gameState }) => {
+      if (!firstToAct.has(gameState.phase)) firstToAct.set(gameState.phase, playerId);
+    });
+    engine.on('player:drawing', ({ playerId }) => drawOrder.push(playerId));
+
+    await engine.start();
+
+    expect(Array.from(firstToAct.values())).toEqual(['btn', 'sb', 'sb', 'sb']);
+    expect(drawOrder.slice(0, 3)).toEqual(['sb', 'bb', 'btn']);
+  });
+});
@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { BaseDeck } from '../packages/core/src/game/BaseDeck.js';
+import { Deck } from '../packages/core/src/game/Deck.js';
+import { HoldemDeckAdapter, adaptDeck } from '../packages/core/src/game/HoldemDeckAdapter.js';
+import { SeededRng } from '../packages/core/src/utils/rng.js';
+import { checkOrCall, createPlayer } from './helpers.js';
+
+/**
+ * Deck written against the old Hold'em interface, dealing in a fixed order
+ */
+class LegacyHoldemDeck {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.cards = new Deck().cards;
+  }
+
+  shuffle() {
+    this.cards.reverse();
+  }
+
+  getRemaining() {
+    return this.cards.length;
+  }
+
+  dealHoleCards() {
+    return [this.cards.shift(), this.cards.shift()];
+  }
+
+  dealFlop() {
+    return [this.cards.shift(), this.cards.shift(), this.cards.shift()];
+  }
+
+  dealTurn() {
+    return this.cards.shift();
+  }
+
+  dealRiver() {
+    return this.cards.shift();
+  }
+}
+
+/**
+ * Play one hand with the given deck and return the engine, errors and reshuffles
+ */
+const playHand = async (deck, playerCount = 3) => {
+  const table = new Table({ blinds: { small: 10, big: 20 }, simulationMode: true, seed: 8 });
+  table.setDeck(deck);
+  let engine;
+  let completed = false;
+  const errors = [];
+  const reshuffles = [];
+  table.on('game:started', () => (engine = table.gameEngine));
+  table.on('hand:completed', () => (completed = true));
+  table.on('game:error', ({ error }) => errors.push(error));
+  table.on('deck:reshuffled', (data) => reshuffles.push(data));
+  ['a', 'b', 'c', 'd', 'e', 'f']
+    .slice(0, playerCount)
+    .forEach((id) =>
+      table.addPlayer(
+        createPlayer(id, 1000, { defaultAction: checkOrCall, defaultDraw: [0, 1, 2, 3, 4] })
+      )
+    );
+  await table.tryStartGame();
+  return { engine, completed, errors, reshuffles };
+};
+
+describe('Draw deck interface', () => {
+  it('should deal hands, replacements and burns and reshuffle the discards', () => {
+    const deck = new Deck({ seed: 4 });
+    deck.shuffle();
+
+    const hand = deck.dealHand();
+    expect(hand).toHaveLength(5);
+    expect(deck.dealReplacements(2)).toHaveLength(2);
+    const [burned] = deck.burn();
+    expect(deck.burnPile).toEqual([burned]);
+    expect(deck.getRemaining()).toBe(44);
+
+    deck.discard(hand);
+    const reshuffled = deck.reshuffleDiscards(new SeededRng(1), { exclude: hand.slice(0, 2) });
+    expect(reshuffled.map(String)).toEqual(hand.slice(2).map(String));
+    expect(deck.discardPile).toEqual(hand.slice(0, 2));
+    expect(deck.getRemaining()).toBe(47);
+    expect(() => deck.drawMultiple(48)).toThrow('Cannot draw 48 cards, only 47 remaining');
+
+    deck.reset();
+    expect(deck.discardPile).toEqual([]);
+    expect(deck.burnPile).toEqual([]);
+    expect(deck.getRemaining()).toBe(52);
+    expect(deck.dealHoleCards).toBeUndefined();
+    expect(() => new BaseDeck()).toThrow('BaseDeck is an abstract class');
+  });
+
+  it("should play hands with a legacy Hold'em deck through the adapter", async () => {
+    const legacy = new LegacyHoldemDeck();
+    const adapted = adaptDeck(legacy);
+    expect(adapted).toBeInstanceOf(HoldemDeckAdapter);
+
+    // Five players drawing five cards each run the wrapped deck dry
+    const { engine, completed, errors, reshuffles } = await playHand(legacy, 5);
+
+    expect(errors).toEqual([]);
+    expect(completed).toBe(true);
+    expect(reshuffles.length).toBeGreaterThan(0);
+    expect(engine.deck).toBeInstanceOf(HoldemDeckAdapter);
+    expect(engine.deck.deck).toBe(legacy);
+    const held = [...engine.playerHands.values()].flat().map(String);
+    expect(new Set(held).size).toBe(25);
+    expect(
+      new Set([
+        ...held,
+        ...engine.deck.discardPile.map(String),
+        ...engine.deck.returned.map(String),
+      ]).size
+    ).toBe(52);
+  });
+
+  it('should accept conforming decks as is and reject anything else', async () => {
+    const inner = new Deck();
+    const methods = Object.getOwnPropertyNames(BaseDeck.prototype).filter(
+      (name) => name !== 'constructor'
+    );
+    // A plain object that forwards every deck method, without extending BaseDeck
+    const conforming = {
+      ...Object.fromEntries(methods.map((name) => [name, (...args) => inner[name](...args)])),
+      get discardPile() {
+        return inner.discardPile;
+      },
+    };
+    expect(adaptDeck(conforming)).toBe(conforming);
+    expect(adaptDeck(inner)).toBe(inner);
+
+    const { completed, errors } = await playHand(conforming);
+    expect(errors).toEqual([]);
+    expect(completed).toBe(true);
+
+    const table = new Table({ blinds: { small: 10, big: 20 } });
+    expect(() => table.setDeck({ draw() {} })).toThrow('Deck must extend BaseDeck or implement');
+    expect(() => new HoldemDeckAdapter({})).toThrow("Hold'em deck must implement");
+  });
+});
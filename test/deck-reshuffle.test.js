@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { HandRecorder } from '../packages/core/src/history/HandRecorder.js';
+import { replayHand } from '../packages/core/src/history/replayHand.js';
+import { checkOrCall, createPlayer } from './helpers.js';
+
+/**
+ * Play one six-handed hand where everyone draws five every time
+ */
+const playFullTable = async (config = {}) => {
+  const table = new Table({ blinds: { small: 10, big: 20 }, simulationMode: true, ...config });
+  const recorder = new HandRecorder(table);
+  const reshuffles = [];
+  const draws = [];
+  let engine;
+  table.on('game:started', () => {
+    engine = table.gameEngine;
+    // Hands before each draw, to check nobody gets their own fresh discards back
+    engine.on('draw:phase:started', () =>
+      draws.push(new Map([...engine.playerHands].map(([id, hand]) => [id, hand.map(String)])))
+    );
+  });
+  table.on('deck:reshuffled', (data) => reshuffles.push(data));
+  const errors = [];
+  table.on('game:error', ({ error }) => errors.push(error));
+  ['a', 'b', 'c', 'd', 'e', 'f'].forEach((id) =>
+    table.addPlayer(
+      createPlayer(id, 1000, { defaultAction: checkOrCall, defaultDraw: [0, 1, 2, 3, 4] })
+    )
+  );
+  await table.tryStartGame();
+  return { engine, hand: recorder.hands[0], reshuffles, draws, errors };
+};
+
+describe('Reshuffling the discards', () => {
+  it('should reshuffle when six players draw five cards each', async () => {
+    const { engine, hand, reshuffles, draws, errors } = await playFullTable({ seed: 1 });
+
+    expect(errors).toEqual([]);
+    expect(hand.shownHands).toHaveLength(6);
+
+    // 30 cards are dealt, so the 22-card stub runs out in the first draw
+    expect(reshuffles.length).toBeGreaterThanOrEqual(3);
+    expect(reshuffles[0]).toMatchObject({ phase: 'first-draw', seatNumber: expect.any(Number) });
+    // The fifth drawer finds 2 cards left; the four earlier draws' 20 discards become the stub
+    expect(reshuffles[0]).toMatchObject({ cardsReshuffled: 20, remaining: 20 });
+
+    // Every card is in exactly one place at the end
+    const held = [...engine.playerHands.values()].flat().map(String);
+    expect(new Set(held).size).toBe(30);
+    const everywhere = [
+      ...held,
+      ...engine.deck.discardPile.map(String),
+      ...engine.deck.cards.map(String),
+    ];
+    expect(new Set(everywhere).size).toBe(52);
+    expect(everywhere).toHaveLength(52);
+
+    // Nobody is dealt the cards they just threw
+    const finalHands = new Map([...engine.playerHands].map(([id, h]) => [id, h.map(String)]));
+    const after = [...draws.slice(1), finalHands];
+    draws.forEach((before, round) => {
+      for (const [id, cards] of before) {
+        expect(after[round].get(id).filter((card) => cards.includes(card))).toEqual([]);
+      }
+    });
+  });
+
+  it('should replay hands with reshuffles from the seed or the deck order', async () => {
+    for (const config of [{ seed: 'full-table' }, {}]) {
+      const { hand } = await playFullTable(config);
+      expect(hand.reshuffles.length).toBeGreaterThan(0);
+
+      const replay = await replayHand(hand);
+      expect(replay.divergences).toEqual([]);
+      expect(replay.result.pots).toEqual(hand.pots);
+      expect(
+        replay.result.allHands.map(({ playerId, cards }) => [playerId, cards.map(String)])
+      ).toEqual(hand.shownHands.map(({ playerId, cards }) => [playerId, cards]));
+    }
+  });
+});
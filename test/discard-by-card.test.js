@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { ScriptedDeck } from '../packages/core/src/game/ScriptedDeck.js';
+import { validateDrawAction, InvalidDrawReason } from '../packages/core/src/utils/validation.js';
+import { ScriptedPlayer, checkOrCall, createPlayer, createEngine } from './helpers.js';
+
+/**
+ * Test Player that keeps the result of each of its draws
+ */
+class ResultKeepingPlayer extends ScriptedPlayer {
+  constructor(config) {
+    super(config);
+    this.results = [];
+  }
+
+  receiveDrawResult({ phase, discarded, drawn, hand }) {
+    this.results.push({
+      phase,
+      discarded: discarded.map(String),
+      drawn: drawn.map(String),
+      hand: hand.map(String),
+    });
+  }
+}
+
+const HAND = ['7h', '5d', '4c', '3s', 'Kd'];
+
+/**
+ * Play one heads-up hand where 'bot' is dealt HAND and draws Qh, then 2h
+ */
+const playHand = async (draws) => {
+  const bot = createPlayer('bot', 1000, { defaultAction: checkOrCall, draws }, ResultKeepingPlayer);
+  const other = createPlayer('other', 1000, { defaultAction: checkOrCall });
+  const engine = createEngine([bot, other], {
+    deck: new ScriptedDeck({ deal: [HAND, '8h 6d 4d 3c 2d'], draws: ['Qh', '2h'] }),
+  });
+  const rejected = [];
+  engine.on('player:draw:rejected', (data) => rejected.push(data));
+  await engine.start();
+  return { engine, bot, rejected };
+};
+
+describe('Discarding by card', () => {
+  it('should turn named cards into hand positions', () => {
+    const hand = HAND.map((str) => ({ rank: str[0], suit: str[1], toString: () => str }));
+
+    expect(validateDrawAction({ discardCards: ['Kd', '5d'] }, hand)).toEqual({
+      cardsToDiscard: 2,
+      discardIndices: [4, 1],
+    });
+    expect(validateDrawAction({ cardsToDiscard: 1, discardCards: [hand[2]] }, hand)).toEqual({
+      cardsToDiscard: 1,
+      discardIndices: [2],
+    });
+    expect(validateDrawAction({ discardCards: [{ rank: '3', suit: 's' }] }, hand)).toEqual({
+      cardsToDiscard: 1,
+      discardIndices: [3],
+    });
+
+    const reasonFor = (drawAction) => {
+      try {
+        validateDrawAction(drawAction, hand);
+      } catch (error) {
+        return error.reason;
+      }
+      return null;
+    };
+    expect(reasonFor({ discardCards: ['Ah'] })).toBe(InvalidDrawReason.CARD_NOT_IN_HAND);
+    expect(reasonFor({ discardCards: ['Kd', 'Kd'] })).toBe(InvalidDrawReason.DUPLICATE_CARD);
+    expect(reasonFor({ discardCards: 'Kd' })).toBe(InvalidDrawReason.INVALID_CARDS);
+    expect(reasonFor({ cardsToDiscard: 2, discardCards: ['Kd'] })).toBe(
+      InvalidDrawReason.COUNT_MISMATCH
+    );
+    expect(reasonFor({ discardCards: ['Kd'], discardIndices: [4] })).toBe(
+      InvalidDrawReason.MALFORMED
+    );
+  });
+
+  it('should replace the named cards and report exactly what changed', async () => {
+    // The queen comes in at the end of the hand, and is thrown again by name
+    const { engine, bot } = await playHand([{ discardCards: ['Kd'] }, { discardCards: ['Qh'] }]);
+
+    expect(bot.results).toEqual([
+      {
+        phase: 'first-draw',
+        discarded: ['Kd'],
+        drawn: ['Qh'],
+        hand: ['7h', '5d', '4c', '3s', 'Qh'],
+      },
+      {
+        phase: 'second-draw',
+        discarded: ['Qh'],
+        drawn: ['2h'],
+        hand: ['7h', '5d', '4c', '3s', '2h'],
+      },
+    ]);
+
+    // Replays get hand positions, so they work the same way
+    const draws = engine.drawDiscards.filter((d) => d.playerId === 'bot');
+    expect(draws.map(({ phase, discardIndices }) => [phase, discardIndices])).toEqual([
+      ['first-draw', [4]],
+      ['second-draw', [4]],
+    ]);
+  });
+
+  it('should keep named cards out of the public rejection', async () => {
+    const { bot, rejected } = await playHand([{ discardCards: ['Kd', 'Ah'] }]);
+
+    expect(bot.results).toEqual([]);
+    expect(rejected).toMatchObject([
+      {
+        playerId: 'bot',
+        reason: InvalidDrawReason.CARD_NOT_IN_HAND,
+        message: 'discardCards[1] is not a card in the hand',
+        drawAction: { discardCardCount: 2 },
+      },
+    ]);
+    expect(rejected[0].drawAction).not.toHaveProperty('discardCards');
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { Player } from '../packages/core/src/Player.js';
+import { GamePhase } from '../packages/core/src/types/index.js';
+import { checkOrCall, createPlayer, createEngine } from './helpers.js';
+
+/**
+ * Test Player that checks or calls and draws a fixed number of cards per draw
+ */
+class DrawingPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.drawPlan = config.drawPlan || [];
+    this.seenStates = [];
+  }
+
+  async getAction(gameState) {
+    this.seenStates.push(gameState);
+    return checkOrCall(gameState, this.id);
+  }
+
+  async getDrawAction(gameState) {
+    return { cardsToDiscard: this.drawPlan[3 - gameState.drawsRemaining] ?? 0 };
+  }
+}
+
+const createDrawingPlayer = (id, drawPlan) => createPlayer(id, 1000, { drawPlan }, DrawingPlayer);
+
+describe('Draw count tracking', () => {
+  it('should record how many cards each player took in every draw', async () => {
+    const players = [
+      createDrawingPlayer('btn', [3, 1, 0]),
+      createDrawingPlayer('sb', [2, 0, 0]),
+      createDrawingPlayer('bb', [1, 1, 1]),
+    ];
+    const engine = createEngine(players);
+
+    const ended = [];
+    engine.on('draw:phase:ended', (data) => ended.push(data));
+    await engine.start();
+
+    expect(ended).toEqual([
+      {
+        phase: 'first-draw',
+        drawNumber: 1,
+        drawCounts: { sb: 2, bb: 1, btn: 3 },
+        standingPat: [],
+      },
+      {
+        phase: 'second-draw',
+        drawNumber: 2,
+        drawCounts: { sb: 0, bb: 1, btn: 1 },
+        standingPat: ['sb'],
+      },
+      {
+        phase: 'third-draw',
+        drawNumber: 3,
+        drawCounts: { sb: 0, bb: 1, btn: 0 },
+        standingPat: ['sb', 'btn'],
+      },
+    ]);
+
+    expect(engine.getGameState().drawHistory.map((d) => d.counts)).toEqual(
+      ended.map((d) => d.drawCounts)
+    );
+  });
+
+  it('should show draw counts in every player view', async () => {
+    const players = [
+      createDrawingPlayer('btn', [3, 0, 0]),
+      createDrawingPlayer('sb', [0, 2, 0]),
+      createDrawingPlayer('bb', [1, 1, 0]),
+    ];
+    const engine = createEngine(players);
+
+    await engine.start();
+
+    const afterSecond = players[0].seenStates.find((s) => s.phase === GamePhase.POST_SECOND_DRAW);
+    expect(afterSecond.drawCounts).toEqual({ sb: 2, bb: 1, btn: 0 });
+    expect(afterSecond.players.sb).toMatchObject({
+      draws: [0, 2],
+      cardsDrawn: 2,
+      standingPat: false,
+    });
+    expect(afterSecond.players.btn).toMatchObject({ draws: [3, 0], standingPat: true });
+    expect(afterSecond.players.sb.hand).toEqual([]);
+  });
+
+  it('should start each hand with an empty draw history', () => {
+    const players = [createDrawingPlayer('a'), createDrawingPlayer('b')];
+    const engine = createEngine(players);
+    engine.drawHistory = [{ drawNumber: 1, phase: 'first-draw', counts: { a: 5 } }];
+
+    engine.initializeHand();
+
+    const state = engine.getGameStateFor(null);
+    expect(state.drawHistory).toEqual([]);
+    expect(state.drawCounts).toEqual({});
+    expect(state.players.a).toMatchObject({ draws: [], cardsDrawn: null, standingPat: false });
+  });
+
+  it('should forward draw:phase:ended through the Table', async () => {
+    const table = new Table({ blinds: { small: 10, big: 20 }, simulationMode: true });
+    table.addPlayer(createDrawingPlayer('a', [1, 1, 1]));
+    table.addPlayer(createDrawingPlayer('b', [0, 0, 0]));
+
+    const ended = [];
+    table.on('draw:phase:ended', (data) => ended.push(data));
+    await table.tryStartGame();
+
+    expect(ended.length).toBe(3);
+    expect(ended[0]).toMatchObject({ drawCounts: { a: 1, b: 0 }, tableId: table.id });
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, expect } from 'vitest';
+import { TripleDrawGameEngine } from '../packages/core/src/game/TripleDrawGameEngine.js';
+import {
+  validateDrawAction,
+  InvalidDrawError,
+  InvalidDrawReason,
+} from '../packages/core/src/utils/validation.js';
+import { InvalidDrawPolicy } from '../packages/core/src/constants.js';
+import { Action } from '../packages/core/src/types/index.js';
+import { ScriptedPlayer, checkOrCall, createPlayer, createEngine, drawLogOf } from './helpers.js';
+
+/**
+ * Test Player that counts how often it is asked to draw and can take its time answering
+ */
+class SlowDrawingPlayer extends ScriptedPlayer {
+  constructor(config) {
+    super(config);
+    this.drawDelay = config.drawDelay || 0;
+    this.drawCalls = 0;
+  }
+
+  async getDrawAction(gameState) {
+    this.drawCalls++;
+    if (this.drawDelay) {
+      await new Promise((resolve) => setTimeout(resolve, this.drawDelay));
+    }
+    return super.getDrawAction(gameState);
+  }
+}
+
+/**
+ * Play one heads-up hand where 'bot' draws from a script; returns its draw log
+ */
+const playHand = async (draws, config = {}, playerConfig = {}) => {
+  const bot = createPlayer(
+    'bot',
+    1000,
+    { defaultAction: checkOrCall, draws, ...playerConfig },
+    SlowDrawingPlayer
+  );
+  const other = createPlayer('other', 1000, { defaultAction: checkOrCall });
+  const engine = createEngine([bot, other], config);
+  const rejected = [];
+  engine.on('player:draw:rejected', (data) => rejected.push(data));
+  await engine.start();
+  return { bot, rejected, drawLog: drawLogOf(engine, 'bot', 'first-draw') };
+};
+
+describe('Draw action validation', () => {
+  it('should reject malformed draws with a reason', () => {
+    const reasonFor = (drawAction) => {
+      try {
+        validateDrawAction(drawAction);
+      } catch (error) {
+        expect(error).toBeInstanceOf(InvalidDrawError);
+        return error.reason;
+      }
+      return null;
+    };
+
+    expect(reasonFor(null)).toBe(InvalidDrawReason.MALFORMED);
+    expect(reasonFor({ cardsToDiscard: 6 })).toBe(InvalidDrawReason.INVALID_COUNT);
+    expect(reasonFor({ cardsToDiscard: 1.5 })).toBe(InvalidDrawReason.INVALID_COUNT);
+    expect(reasonFor({})).toBe(InvalidDrawReason.INVALID_COUNT);
+    expect(reasonFor({ cardsToDiscard: 2, discardIndices: '0,1' })).toBe(
+      InvalidDrawReason.INVALID_INDICES
+    );
+    expect(reasonFor({ cardsToDiscard: 2, discardIndices: [0] })).toBe(
+      InvalidDrawReason.COUNT_MISMATCH
+    );
+    expect(reasonFor({ cardsToDiscard: 0, discardIndices: [1] })).toBe(
+      InvalidDrawReason.COUNT_MISMATCH
+    );
+    expect(reasonFor({ cardsToDiscard: 1, discardIndices: [5] })).toBe(
+      InvalidDrawReason.INDEX_OUT_OF_RANGE
+    );
+    expect(reasonFor({ cardsToDiscard: 1, discardIndices: [-1] })).toBe(
+      InvalidDrawReason.INDEX_OUT_OF_RANGE
+    );
+    expect(reasonFor({ cardsToDiscard: 2, discardIndices: [3, 3] })).toBe(
+      InvalidDrawReason.DUPLICATE_INDEX
+    );
+
+    expect(validateDrawAction({ cardsToDiscard: 2, discardIndices: [4, 1] })).toEqual({
+      cardsToDiscard: 2,
+      discardIndices: [4, 1],
+    });
+    expect(validateDrawAction({ cardsToDiscard: 3 })).toEqual({
+      cardsToDiscard: 3,
+      discardIndices: null,
+    });
+  });
+
+  it('should stand an invalid draw pat by default and say why', async () => {
+    const { bot, rejected, drawLog } = await playHand([
+      { cardsToDiscard: 2, discardIndices: [0, 0] },
+    ]);
+
+    expect(bot.drawCalls).toBe(3); // One per draw; no second chance
+    expect(drawLog).toEqual([{ action: Action.STAND_PAT, cards: 0, discardIndices: undefined }]);
+    expect(rejected).toEqual([
+      {
+        playerId: 'bot',
+        phase: 'first-draw',
+        reason: InvalidDrawReason.DUPLICATE_INDEX,
+        message: 'discardIndices lists a position more than once',
+        drawAction: { cardsToDiscard: 2, discardIndices: [0, 0] },
+        attempt: 1,
+        reprompt: false,
+      },
+    ]);
+  });
+
+  it('should ask again under the reprompt policy', async () => {
+    const { rejected, drawLog } = await playHand(
+      [
+        { cardsToDiscard: 2, discardIndices: [0, 7] },
+        { cardsToDiscard: 2, discardIndices: [0, 3] },
+      ],
+      { invalidDrawPolicy: InvalidDrawPolicy.REPROMPT }
+    );
+
+    expect(rejected).toMatchObject([
+      { reason: InvalidDrawReason.INDEX_OUT_OF_RANGE, attempt: 1, reprompt: true },
+    ]);
+    expect(drawLog).toEqual([{ action: Action.DRAW, cards: 2, discardIndices: [0, 3] }]);
+  });
+
+  it('should stop asking after maxDrawAttempts or when time runs out', async () => {
+    const bad = () => ({ cardsToDiscard: 1, discardIndices: [] });
+    const limited = await playHand([bad(), bad()], {
+      invalidDrawPolicy: InvalidDrawPolicy.REPROMPT,
+      maxDrawAttempts: 2,
+    });
+    expect(limited.rejected.map(({ attempt, reprompt }) => [attempt, reprompt])).toEqual([
+      [1, true],
+      [2, false],
+    ]);
+    expect(limited.drawLog).toEqual([
+      { action: Action.STAND_PAT, cards: 0, discardIndices: undefined },
+    ]);
+
+    // Both attempts share one 100ms limit, so the second one times out
+    const timed = await playHand(
+      [bad(), { cardsToDiscard: 1, discardIndices: [0] }],
+      { invalidDrawPolicy: InvalidDrawPolicy.REPROMPT, simulationMode: false, timeout: 100 },
+      { drawDelay: 60 }
+    );
+    expect(timed.rejected).toHaveLength(1);
+    expect(timed.drawLog).toEqual([
+      { action: Action.STAND_PAT, cards: 0, discardIndices: undefined },
+    ]);
+
+    expect(
+      () =>
+        new TripleDrawGameEngine({
+          players: [createPlayer('a', 1000), createPlayer('b', 1000)],
+          blinds: { small: 10, big: 20 },
+          invalidDrawPolicy: 'fold',
+        })
+    ).toThrow('Unknown invalid draw policy: fold');
+
+    // An endless reprompt would never let the hand go on
+    for (const maxDrawAttempts of [0, -1, 1.5, Infinity, '3']) {
+      expect(
+        () =>
+          new TripleDrawGameEngine({
+            players: [createPlayer('a', 1000), createPlayer('b', 1000)],
+            blinds: { small: 10, big: 20 },
+            invalidDrawPolicy: InvalidDrawPolicy.REPROMPT,
+            maxDrawAttempts,
+          })
+      ).toThrow(`maxDrawAttempts must be a positive whole number, got ${maxDrawAttempts}`);
+    }
+  });
+});
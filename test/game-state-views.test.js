@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { GamePhase } from '../packages/core/src/types/index.js';
+import { ScriptedPlayer, checkOrCall, createPlayer, createEngine } from './helpers.js';
+
+/**
+ * Test Player that remembers every game state it is shown
+ */
+class RecordingPlayer extends ScriptedPlayer {
+  constructor(config) {
+    super(config);
+    this.seenStates = [];
+  }
+
+  async getAction(gameState) {
+    this.seenStates.push(gameState);
+    return super.getAction(gameState);
+  }
+
+  async getDrawAction(gameState) {
+    this.seenStates.push(gameState);
+    return super.getDrawAction(gameState);
+  }
+}
+
+const createRecordingPlayer = (id, cardsToDiscard) =>
+  createPlayer(
+    id,
+    1000,
+    { defaultAction: checkOrCall, defaultDraw: { cardsToDiscard } },
+    RecordingPlayer
+  );
+
+describe('Per-player game state views', () => {
+  it('should only show a player their own cards', () => {
+    const players = [createPlayer('a', 1000), createPlayer('b', 1000), createPlayer('c', 1000)];
+    const engine = createEngine(players);
+    engine.initializeHand();
+
+    const view = engine.getGameStateFor('b');
+
+    expect(view.viewerId).toBe('b');
+    expect(view.players.b.hand).toEqual(engine.playerHands.get('b'));
+    expect(view.players.a.hand).toEqual([]);
+    expect(view.players.c.hand).toEqual([]);
+    expect(view.players.a).toMatchObject({ cardCount: 5, chips: 1000, bet: 0 });
+    expect(view.players.c).toMatchObject({ cardCount: 5, chips: 980, bet: 20 });
+  });
+
+  it('should hide every hand from observers', () => {
+    const players = [createPlayer('a', 1000), createPlayer('b', 1000)];
+    const engine = createEngine(players);
+    engine.initializeHand();
+
+    const view = engine.getGameStateFor(null);
+
+    expect(view.viewerId).toBeNull();
+    expect(Object.values(view.players).every((p) => p.hand.length === 0)).toBe(true);
+    expect(engine.getGameState().players.a.hand.length).toBe(5);
+  });
+
+  it('should give players their own view and broadcast only the observer view', async () => {
+    const players = [
+      createRecordingPlayer('a', 2),
+      createRecordingPlayer('b', 0),
+      createRecordingPlayer('c', 1),
+    ];
+    const engine = createEngine(players);
+
+    const broadcastHands = [];
+    engine.on('player:to:act', ({ gameState }) => {
+      broadcastHands.push(...Object.values(gameState.players).map((p) => p.hand.length));
+    });
+
+    await engine.start();
+
+    expect(broadcastHands.length).toBeGreaterThan(0);
+    expect(broadcastHands.every((count) => count === 0)).toBe(true);
+
+    for (const player of players) {
+      for (const state of player.seenStates) {
+        expect(state.viewerId).toBe(player.id);
+        expect(state.players[player.id].hand.length).toBe(5);
+        const others = Object.values(state.players).filter((p) => p.id !== player.id);
+        expect(others.every((p) => p.hand.length === 0)).toBe(true);
+      }
+    }
+
+    // After the first draw everyone can see how many cards the others took
+    const postDraw = players[0].seenStates.find((s) => s.phase === GamePhase.POST_FIRST_DRAW);
+    expect(postDraw.players.b.cardsDrawn).toBe(0);
+    expect(postDraw.players.c.cardsDrawn).toBe(1);
+  });
+
+  it('should use the observer view in Table.getState()', async () => {
+    const table = new Table({ blinds: { small: 10, big: 20 }, simulationMode: true });
+    table.addPlayer(createPlayer('a', 1000, { defaultAction: checkOrCall }));
+    table.addPlayer(createPlayer('b', 1000, { defaultAction: checkOrCall }));
+
+    let currentGame;
+    table.on('player:to:act', () => (currentGame ??= table.getState().currentGame));
+    await table.tryStartGame();
+
+    expect(currentGame.viewerId).toBeNull();
+    expect(currentGame.players.a.hand).toEqual([]);
+    expect(currentGame.players.b.hand).toEqual([]);
+  });
+});
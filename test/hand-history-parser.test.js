@@ -0,0 +1,149 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { HandHistoryWriter } from '../packages/core/src/history/HandHistoryWriter.js';
+import {
+  parseHandHistory,
+  parseHandHistories,
+} from '../packages/core/src/history/HandHistoryParser.js';
+import { replayParsedHand } from '../packages/core/src/history/replayParsedHand.js';
+import { Limits } from '../packages/core/src/constants.js';
+import { Action, GamePhase, HistoryAction } from '../packages/core/src/types/index.js';
+import { CyclingPlayer, createPlayer } from './helpers.js';
+
+const ROOM_HAND = `PokerStars Hand #98765432101:  Triple Draw 2-7 Lowball Limit ($0.10/$0.20 USD) - 2015/03/14 21:04:11 ET
+Table 'Aaltje II' 6-max Seat #1 is the button
+Seat 1: Villain1 ($4.00 in chips)
+Seat 2: Hero ($5.00 in chips)
+Seat 3: Villain2 ($3.50 in chips)
+Seat 5: Dozer ($2.00 in chips) is sitting out
+Hero: posts small blind $0.05
+Villain2: posts big blind $0.10
+*** DEALING HANDS ***
+Dealt to Hero [2c 7d 4h Kc 3s]
+Villain1: raises $0.10 to $0.20
+Hero: calls $0.15
+Villain2: folds
+*** FIRST DRAW ***
+Hero: discards 1 card [Kc]
+Villain1: discards 2 cards
+Dealt to Hero [2c 7d 4h 3s] [8c]
+Hero: checks
+Villain1: bets $0.10
+Hero: calls $0.10
+*** SECOND DRAW ***
+Hero: stands pat on [2c 7d 4h 3s 8c]
+Villain1: discards 1 card
+Hero: bets $0.20
+Villain1: raises $0.20 to $0.40
+Hero: calls $0.20
+*** THIRD DRAW ***
+Hero: stands pat on [2c 7d 4h 3s 8c]
+Villain1: stands pat
+Dozer said, "gl"
+Hero: checks
+Villain1: bets $0.20
+Hero: calls $0.20
+*** SHOW DOWN ***
+Villain1: shows [7s 6h 4d 3c 2d] (Lo: 7,6,4,3,2)
+Hero: mucks hand
+Villain1 collected $1.87 from pot
+*** SUMMARY ***
+Total pot $1.90 | Rake $0.03
+Seat 1: Villain1 (button) showed [7s 6h 4d 3c 2d] and won ($1.87) with Lo: 7,6,4,3,2
+Seat 2: Hero (small blind) mucked [2c 7d 4h 3s 8c]
+Seat 3: Villain2 (big blind) folded before the Draw`;
+
+const createCyclingPlayer = (id, chips, offset) =>
+  createPlayer(id, chips, { offset, discardPositions: [4, 3] }, CyclingPlayer);
+
+describe('Hand history parser', () => {
+  it('should parse an online room hand history', () => {
+    const hand = parseHandHistory(ROOM_HAND);
+
+    expect(hand).toMatchObject({
+      site: 'PokerStars',
+      handId: '98765432101',
+      bettingStructure: Limits.FIXED_LIMIT,
+      stakes: { small: 10, big: 20 },
+      chipScale: 100,
+      tableName: 'Aaltje II',
+      maxPlayers: 6,
+      buttonSeat: 1,
+      holeCards: { Hero: ['2c', '7d', '4h', 'Kc', '3s'] },
+      showdown: true,
+      shownHands: [
+        { player: 'Villain1', cards: ['7s', '6h', '4d', '3c', '2d'], description: 'Lo: 7,6,4,3,2' },
+      ],
+      mucked: ['Hero'],
+      collected: [{ player: 'Villain1', amount: 187, pot: 'pot' }],
+      totalPot: 190,
+      rake: 3,
+    });
+    expect(hand.seats[3]).toEqual({ seat: 5, name: 'Dozer', chips: 200, sittingOut: true });
+
+    expect(hand.rounds.map((round) => round.phase)).toEqual([
+      GamePhase.PRE_DRAW,
+      GamePhase.POST_FIRST_DRAW,
+      GamePhase.POST_SECOND_DRAW,
+      GamePhase.POST_THIRD_DRAW,
+    ]);
+    expect(hand.rounds[0].actions.slice(0, 3)).toEqual([
+      { player: 'Hero', action: HistoryAction.SMALL_BLIND, amount: 5, allIn: false },
+      { player: 'Villain2', action: HistoryAction.BIG_BLIND, amount: 10, allIn: false },
+      { player: 'Villain1', action: Action.RAISE, amount: 10, totalBet: 20, allIn: false },
+    ]);
+    expect(hand.rounds[1].draws).toEqual([
+      { player: 'Hero', count: 1, discarded: ['Kc'], drawn: ['8c'] },
+      { player: 'Villain1', count: 2, discarded: null, drawn: null },
+    ]);
+    expect(hand.rounds[3].draws.map((d) => d.count)).toEqual([0, 0]);
+  });
+
+  it('should replay a parsed hand through the engine', async () => {
+    const { result, collected, expectedCollected, divergences } = await replayParsedHand(
+      parseHandHistory(ROOM_HAND)
+    );
+
+    expect(divergences).toEqual([]);
+    expect(result.allHands.map((h) => [h.playerId, h.cards.map(String)])).toEqual([
+      ['Hero', ['2c', '7d', '4h', '3s', '8c']],
+      ['Villain1', ['7s', '6h', '4d', '3c', '2d']],
+    ]);
+    // The engine takes no rake
+    expect(collected).toEqual({ Villain1: 190 });
+    expect(expectedCollected).toEqual({ Villain1: 187 });
+  });
+
+  it('should read back and replay the histories HandHistoryWriter writes', async () => {
+    for (const bettingStructure of [Limits.FIXED_LIMIT, Limits.NO_LIMIT]) {
+      const table = new Table({
+        blinds: { small: 10, big: 20 },
+        bettingStructure,
+        ante: 5,
+        simulationMode: true,
+      });
+      const writer = new HandHistoryWriter(table);
+      [400, 900, 650, 1200].forEach((chips, i) =>
+        table.addPlayer(createCyclingPlayer(`p${i}`, chips, i))
+      );
+      for (let i = 0; i < 15 && table.players.size >= 2; i++) {
+        await table.tryStartGame();
+      }
+
+      const hands = parseHandHistories(writer.toString());
+      expect(hands.length).toBe(writer.hands.length);
+
+      for (const hand of hands) {
+        const replay = await replayParsedHand(hand);
+        expect(replay.divergences).toEqual([]);
+        expect(replay.match).toBe(true);
+      }
+    }
+  });
+
+  it('should reject text that is not a triple draw hand history', () => {
+    expect(() =>
+      parseHandHistory("PokerStars Hand #1: Hold'em No Limit ($1/$2) - 2015/03/14 21:04:11 ET")
+    ).toThrow('Not a triple draw hand history');
+  });
+});
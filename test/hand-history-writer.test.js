@@ -0,0 +1,147 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { ScriptedDeck } from '../packages/core/src/game/ScriptedDeck.js';
+import { HandHistoryWriter } from '../packages/core/src/history/HandHistoryWriter.js';
+import { Limits } from '../packages/core/src/constants.js';
+import { Action } from '../packages/core/src/types/index.js';
+import { checkOrCall, createPlayer } from './helpers.js';
+
+// Named in capitals, as the histories show them; they check or call unless told otherwise
+const createNamedPlayer = (id, chips, config = {}) =>
+  createPlayer(id, chips, { name: id.toUpperCase(), defaultAction: checkOrCall, ...config });
+
+const HEADER = /^PokerStars Hand #1: Triple Draw 2-7 Lowball Limit \(20\/40\) - [\d/: ]+ UTC$/;
+
+const playShowdownHand = async () => {
+  const table = new Table({
+    id: 'T1',
+    blinds: { small: 10, big: 20 },
+    dealerButton: 0,
+    simulationMode: true,
+    deck: new ScriptedDeck({ deal: ['2c 3d 4h 5s Kd', '2d 3c 4s 6h Qc'], draws: ['7c 7d'] }),
+  });
+  const writer = new HandHistoryWriter(table);
+  table.addPlayer(createNamedPlayer('alice', 1000, { draws: [[4]] }));
+  table.addPlayer(createNamedPlayer('bob', 1000, { draws: [[4]] }));
+  await table.tryStartGame();
+  return writer;
+};
+
+describe('HandHistoryWriter', () => {
+  it('should write a PokerStars-style triple draw history', async () => {
+    const writer = await playShowdownHand();
+    const [header, ...lines] = writer.getHandHistories()[0].split('\n');
+
+    expect(header).toMatch(HEADER);
+    expect(lines).toEqual([
+      "Table 'T1' 6-max Seat #1 is the button",
+      'Seat 1: ALICE (1000 in chips)',
+      'Seat 2: BOB (1000 in chips)',
+      'ALICE: posts small blind 10',
+      'BOB: posts big blind 20',
+      '*** DEALING HANDS ***',
+      'Dealt to ALICE [2c 3d 4h 5s Kd]',
+      'Dealt to BOB [2d 3c 4s 6h Qc]',
+      'ALICE: calls 10',
+      'BOB: checks',
+      '*** FIRST DRAW ***',
+      'BOB: discards 1 card [Qc] and draws [7c]',
+      'ALICE: discards 1 card [Kd] and draws [7d]',
+      'BOB: checks',
+      'ALICE: checks',
+      '*** SECOND DRAW ***',
+      'BOB: stands pat',
+      'ALICE: stands pat',
+      'BOB: checks',
+      'ALICE: checks',
+      '*** THIRD DRAW ***',
+      'BOB: stands pat',
+      'ALICE: stands pat',
+      'BOB: checks',
+      'ALICE: checks',
+      '*** SHOW DOWN ***',
+      'BOB: shows [2d 3c 4s 6h 7c] (7-6-4-3-2)',
+      'ALICE: shows [2c 3d 4h 5s 7d] (7-5-4-3-2 (the wheel))',
+      'ALICE collected 40 from pot',
+      '*** SUMMARY ***',
+      'Total pot 40 | Rake 0',
+      'Seat 1: ALICE (button) (small blind) showed [2c 3d 4h 5s 7d] and won (40) with ' +
+        '7-5-4-3-2 (the wheel)',
+      'Seat 2: BOB (big blind) showed [2d 3c 4s 6h 7c] and lost with 7-6-4-3-2',
+    ]);
+  });
+
+  it("should hide opponents' hole cards and draws from a hero's history", async () => {
+    const writer = await playShowdownHand();
+    const lines = writer.getHandHistories({ heroId: 'bob' })[0].split('\n');
+
+    expect(lines).toContain('Dealt to ALICE');
+    expect(lines).toContain('Dealt to BOB [2d 3c 4s 6h Qc]');
+    expect(lines).toContain('ALICE: discards 1 card');
+    expect(lines).toContain('BOB: discards 1 card [Qc] and draws [7c]');
+    expect(lines.filter((line) => line.includes('Kd'))).toEqual([]);
+
+    // Cards shown down are public
+    expect(lines).toContain('ALICE: shows [2c 3d 4h 5s 7d] (7-5-4-3-2 (the wheel))');
+  });
+
+  it('should write the first bet after a draw as a bet', async () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      simulationMode: true,
+    });
+    const writer = new HandHistoryWriter(table);
+    table.addPlayer(createNamedPlayer('alice', 1000));
+    table.addPlayer(
+      createNamedPlayer('bob', 1000, {
+        actions: [{ action: Action.CHECK }, { action: Action.BET, amount: 20 }],
+      })
+    );
+    await table.tryStartGame();
+
+    const lines = writer.getHandHistories()[0].split('\n');
+    const firstDraw = lines.indexOf('*** FIRST DRAW ***');
+    expect(lines.slice(firstDraw + 3, firstDraw + 5)).toEqual(['BOB: bets 20', 'ALICE: calls 20']);
+  });
+
+  it('should write all-ins, side pots and returned bets', async () => {
+    const table = new Table({
+      id: 'T2',
+      blinds: { small: 10, big: 20 },
+      bettingStructure: Limits.NO_LIMIT,
+      dealerButton: 0,
+      simulationMode: true,
+    });
+    const writer = new HandHistoryWriter(table, { heroId: 'carol' });
+    const histories = [];
+    writer.on('hand:history', (data) => histories.push(data));
+
+    table.addPlayer(
+      createNamedPlayer('alice', 1000, {
+        actions: [{ action: Action.RAISE, amount: 80 }, { action: Action.FOLD }],
+      })
+    );
+    table.addPlayer(createNamedPlayer('bob', 50, { actions: [{ action: Action.ALL_IN }] }));
+    table.addPlayer(createNamedPlayer('carol', 1000, { actions: [{ action: Action.ALL_IN }] }));
+    table.addPlayer(createNamedPlayer('dave', 1000, { actions: [{ action: Action.FOLD }] }));
+    await table.tryStartGame();
+
+    expect(histories.map((h) => h.gameNumber)).toEqual([1]);
+    const lines = histories[0].text.split('\n');
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'DAVE: folds',
+        'ALICE: raises 80 to 100',
+        'BOB: calls 40 and is all-in',
+        'CAROL: raises 900 to 1000 and is all-in',
+        'ALICE: folds',
+        'Uncalled bet (900) returned to CAROL',
+        'Total pot 250 Main pot 150. Side pot-1 100. | Rake 0',
+        'Seat 1: ALICE (button) folded before the Draw',
+      ])
+    );
+    expect(lines.find((line) => line.startsWith('Dealt to CAROL ['))).toBeDefined();
+    expect(lines.find((line) => line.startsWith('Dealt to BOB ['))).toBeUndefined();
+  });
+});
@@ -0,0 +1,109 @@
+import { Player } from '../packages/core/src/Player.js';
+import { TripleDrawGameEngine } from '../packages/core/src/game/TripleDrawGameEngine.js';
+import { Action } from '../packages/core/src/types/index.js';
+
+/**
+ * Betting action that checks when nothing is owed and calls otherwise
+ */
+export const checkOrCall = (gameState, playerId) => {
+  const toCall = gameState.currentBet - gameState.players[playerId].bet;
+  return { action: toCall > 0 ? Action.CALL : Action.CHECK };
+};
+
+/**
+ * Test Player that plays queues of actions and draws, then falls back to defaults
+ *
+ * An action may be a function of the game state, like checkOrCall. A draw is a
+ * draw action or an array of hand positions to throw; an Error is thrown instead.
+ */
+export class ScriptedPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.actionQueue = config.actions || [];
+    this.defaultAction = config.defaultAction || { action: Action.FOLD };
+    this.drawQueue = config.draws || [];
+    this.defaultDraw = config.defaultDraw || [];
+  }
+
+  async getAction(gameState) {
+    const action = this.actionQueue.shift() || this.defaultAction;
+    return typeof action === 'function' ? action(gameState, this.id) : action;
+  }
+
+  async getDrawAction() {
+    const draw = this.drawQueue.shift() ?? this.defaultDraw;
+    if (draw instanceof Error) throw draw;
+    return Array.isArray(draw) ? { cardsToDiscard: draw.length, discardIndices: draw } : draw;
+  }
+}
+
+/**
+ * Test Player that cycles through call, raise, call, fold, call and (from its 13th
+ * turn) all-in, starting `offset` turns in, and throws 0, 1 or 2 of its
+ * `discardPositions` in turn
+ */
+export class CyclingPlayer extends Player {
+  constructor(config) {
+    super(config);
+    this.turn = config.offset || 0;
+    this.discardPositions = config.discardPositions;
+  }
+
+  async getAction(gameState) {
+    const toCall = gameState.currentBet - gameState.players[this.id].bet;
+    const choice = ['call', 'raise', 'call', 'fold', 'call', 'all-in'][this.turn++ % 6];
+    if (choice === 'raise') {
+      return { action: Action.RAISE, amount: gameState.betSize };
+    }
+    if (choice === 'all-in' && this.turn > 12) {
+      return { action: Action.ALL_IN };
+    }
+    if (choice === 'fold' && toCall > 0) {
+      return { action: Action.FOLD };
+    }
+    return checkOrCall(gameState, this.id);
+  }
+
+  async getDrawAction() {
+    const count = this.turn % 3;
+    return { cardsToDiscard: count, discardIndices: this.discardPositions.slice(0, count) };
+  }
+}
+
+/**
+ * Create a player with a starting stack
+ * @param {string} id - Player id
+ * @param {number} chips - Starting chips
+ * @param {Object} [config] - Player config, e.g. actions and draws for ScriptedPlayer
+ * @param {typeof Player} [PlayerClass] - Player class to create
+ */
+export const createPlayer = (id, chips, config = {}, PlayerClass = ScriptedPlayer) => {
+  const player = new PlayerClass({ id, ...config });
+  player.chips = chips;
+  return player;
+};
+
+/**
+ * Create a 10/20 engine in simulation mode with the button on the first player
+ */
+export const createEngine = (players, config = {}) =>
+  new TripleDrawGameEngine({
+    players,
+    blinds: { small: 10, big: 20 },
+    dealerButton: 0,
+    simulationMode: true,
+    ...config,
+  });
+
+/**
+ * A player's entries in one draw phase of the action history, with the hand positions
+ * they threw, which the engine keeps apart from the public log
+ */
+export const drawLogOf = (engine, playerId, phase) => {
+  const discardsAt = (index) =>
+    engine.drawDiscards.find((d) => d.actionIndex === index)?.discardIndices;
+  return engine.actionHistory
+    .map((entry, index) => ({ ...entry, discardIndices: discardsAt(index) }))
+    .filter((entry) => entry.playerId === playerId && entry.phase === phase)
+    .map(({ action, cards, discardIndices }) => ({ action, cards, discardIndices }));
+};
@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { Action, PlayerState } from '../packages/core/src/types/index.js';
+import { createPlayer, createEngine } from './helpers.js';
+
+describe('Limit short stacks', () => {
+  it('should let a short stack call all-in and split off a side pot', async () => {
+    const players = [
+      createPlayer('btn', 1000, {
+        actions: [{ action: Action.RAISE, amount: 20 }],
+        defaultAction: { action: Action.CALL },
+      }),
+      createPlayer('sb', 25, { actions: [{ action: Action.CALL }] }),
+      createPlayer('bb', 1000, { defaultAction: { action: Action.CALL } }),
+    ];
+    const engine = createEngine(players);
+
+    const prompts = [];
+    const calls = [];
+    let result;
+    engine.on('player:to:act', (data) => prompts.push(data));
+    engine.on('player:called', (data) => calls.push(data));
+    engine.on('hand:ended', (data) => (result = data));
+
+    await engine.start();
+
+    expect(prompts[1].playerId).toBe('sb');
+    expect(prompts[1].validActions).toEqual([Action.FOLD, Action.CALL, Action.ALL_IN]);
+    expect(calls[0]).toEqual({ playerId: 'sb', amount: 15 });
+    expect(players[1].state).toBe(PlayerState.ALL_IN);
+
+    expect(result.pots.map((pot) => [pot.amount, pot.eligiblePlayers.includes('sb')])).toEqual([
+      [75, true],
+      [30, false],
+    ]);
+    expect(players.every((p) => p.chips >= 0)).toBe(true);
+    expect(players.reduce((sum, p) => sum + p.chips, 0)).toBe(2025);
+  });
+
+  it('should let a short stack raise all-in for less than the bet size', async () => {
+    const players = [createPlayer('btn', 30), createPlayer('sb', 1000), createPlayer('bb', 1000)];
+    const engine = createEngine(players);
+    engine.initializeHand();
+
+    expect(engine.getBettingLimits(players[0])).toEqual({
+      toCall: 20,
+      minRaise: 10,
+      maxRaise: 10,
+      betSize: 20,
+    });
+    expect(engine.getValidActions(players[0])).toEqual([
+      Action.FOLD,
+      Action.CALL,
+      Action.RAISE,
+      Action.ALL_IN,
+    ]);
+
+    const raises = [];
+    engine.on('player:raised', (data) =>
+      raises.push({ ...data, chips: players[0].chips, state: players[0].state })
+    );
+    await engine.handleAction(players[0], { action: Action.RAISE, amount: 10 });
+
+    expect(raises[0]).toEqual({
+      playerId: 'btn',
+      amount: 10,
+      totalBet: 30,
+      chips: 0,
+      state: PlayerState.ALL_IN,
+    });
+  });
+
+  it('should never take a short stack below zero on a full-size raise', async () => {
+    const players = [createPlayer('btn', 30), createPlayer('sb', 1000), createPlayer('bb', 1000)];
+    const engine = createEngine(players);
+    engine.initializeHand();
+
+    let snapshot;
+    engine.on('player:raised', ({ amount }) => {
+      snapshot = {
+        amount,
+        chips: players[0].chips,
+        state: players[0].state,
+        contributed: engine.potManager.getTotalContribution(players[0]),
+      };
+    });
+    await engine.handleAction(players[0], { action: Action.RAISE, amount: 20 });
+
+    expect(snapshot).toEqual({ amount: 10, chips: 0, state: PlayerState.ALL_IN, contributed: 30 });
+  });
+
+  it('should not let a short stack shove past the raise cap', async () => {
+    const raise = { action: Action.RAISE, amount: 20 };
+    const players = [
+      createPlayer('btn', 1000, {
+        actions: [raise, raise],
+        defaultAction: { action: Action.CALL },
+      }),
+      createPlayer('sb', 110, { actions: [raise, { action: Action.ALL_IN }] }),
+      createPlayer('bb', 1000, { actions: [raise], defaultAction: { action: Action.CALL } }),
+    ];
+    const engine = createEngine(players);
+
+    // Four raises cap the bet at 100; sb then has 50 left and 40 to call
+    const errors = [];
+    const handleAction = engine.handleAction.bind(engine);
+    engine.handleAction = (player, action) =>
+      handleAction(player, action).catch((error) => {
+        errors.push(error.message);
+        throw error;
+      });
+    const allIns = [];
+    engine.on('player:all-in', (data) => allIns.push(data));
+
+    await engine.start();
+
+    expect(errors).toEqual(['Betting is capped in this round']);
+    expect(allIns).toEqual([]);
+    expect(players[1].state).toBe(PlayerState.FOLDED);
+    expect(players[1].chips).toBe(50);
+  });
+});
@@ -70,6 +70,17 @@ describe('LowballHandEvaluator', () => {
       expect(comparison).toBe(-1); // wheel wins
     });
     
+    it('should rank 7-6 lows between the wheel and eight-lows', () => {
+      const wheel = ['7h', '5d', '4c', '3s', '2h'];
+      const sevenSix = ['7s', '6h', '4d', '3c', '2d'];
+      const eightLow = ['8c', '7d', '4h', '3s', '2c'];
+      
+      expect(LowballHandEvaluator.evaluateHand(sevenSix).type).toBe('seven-low');
+      expect(LowballHandEvaluator.compare(wheel, sevenSix)).toBe(-1);
+      expect(LowballHandEvaluator.compare(sevenSix, eightLow)).toBe(-1);
+      expect(LowballHandEvaluator.compare(sevenSix, ['Kh', '6s', '4h', '3d', '2s'])).toBe(-1);
+    });
+    
     it('should rank 8-6-4-3-2 better than 8-7-4-3-2', () => {
       const hand1 = ['8h', '6d', '4c', '3s', '2h'];
       const hand2 = ['8h', '7d', '4c', '3s', '2h'];
@@ -139,6 +150,13 @@ describe('LowballHandEvaluator', () => {
       expect(description).toBe('8-6-4-3-2');
     });
     
+    it('should describe seven-low correctly', () => {
+      const hand = ['7s', '6h', '4d', '3c', '2d'];
+      const description = LowballHandEvaluator.describeHand(hand);
+      
+      expect(description).toBe('7-6-4-3-2');
+    });
+    
     it('should describe pairs correctly', () => {
       const hand = ['7h', '7d', '4c', '3s', '2h'];
       const description = LowballHandEvaluator.describeHand(hand);
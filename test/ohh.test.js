@@ -0,0 +1,187 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { ScriptedDeck } from '../packages/core/src/game/ScriptedDeck.js';
+import { HandHistoryWriter } from '../packages/core/src/history/HandHistoryWriter.js';
+import { HandRecorder } from '../packages/core/src/history/HandRecorder.js';
+import { OhhExporter } from '../packages/core/src/history/OhhExporter.js';
+import { importOhh, importOhhJsonLines } from '../packages/core/src/history/OhhImporter.js';
+import { Limits } from '../packages/core/src/constants.js';
+import { Action } from '../packages/core/src/types/index.js';
+import { checkOrCall, createPlayer } from './helpers.js';
+
+// Players check or call unless scripted; names in capitals make them easy to spot in exports
+const createNamedPlayer = (id, chips, config = {}) =>
+  createPlayer(id, chips, { name: id.toUpperCase(), defaultAction: checkOrCall, ...config });
+
+const playShowdownHand = async (options) => {
+  const table = new Table({
+    id: 'T1',
+    blinds: { small: 10, big: 20 },
+    dealerButton: 0,
+    simulationMode: true,
+    deck: new ScriptedDeck({ deal: ['2c 3d 4h 5s Kd', '2d 3c 4s 6h Qc'], draws: ['7c 7d'] }),
+  });
+  const exporter = new OhhExporter(table, options);
+  table.addPlayer(createNamedPlayer('alice', 1000, { draws: [[4]] }));
+  table.addPlayer(createNamedPlayer('bob', 1000, { draws: [[4]] }));
+  await table.tryStartGame();
+  return exporter;
+};
+
+describe('Open Hand History export', () => {
+  it('should export a hand with draws as OHH', async () => {
+    const exporter = await playShowdownHand();
+    const [{ ohh }] = exporter.getHands();
+
+    expect(ohh).toMatchObject({
+      spec_version: '1.4.6',
+      game_number: '1',
+      table_name: 'T1',
+      game_type: 'TripleDraw27',
+      bet_limit: { bet_type: 'FL' },
+      table_size: 6,
+      dealer_seat: 1,
+      small_blind_amount: 10,
+      big_blind_amount: 20,
+      ante_amount: 0,
+      small_bet: 20,
+      big_bet: 40,
+      players: [
+        { id: 1, seat: 1, name: 'alice', display: 'ALICE', starting_stack: 1000 },
+        { id: 2, seat: 2, name: 'bob', display: 'BOB', starting_stack: 1000 },
+      ],
+      pots: [{ number: 0, amount: 40, rake: 0, player_wins: [{ player_id: 1, win_amount: 40 }] }],
+    });
+    expect(new Date(ohh.start_date_utc).toISOString()).toBe(ohh.start_date_utc);
+    expect(ohh.rounds.map((round) => round.street)).toEqual([
+      'Predraw',
+      'First Draw',
+      'Second Draw',
+      'Third Draw',
+      'Showdown',
+    ]);
+
+    const actions = ohh.rounds.flatMap((round) => round.actions);
+    expect(actions.map((a) => a.action_number)).toEqual(actions.map((_, i) => i + 1));
+    expect(ohh.rounds[0].actions.slice(0, 3)).toEqual([
+      { action_number: 1, player_id: 1, action: 'Post SB', amount: 10, is_allin: false },
+      { action_number: 2, player_id: 2, action: 'Post BB', amount: 20, is_allin: false },
+      {
+        action_number: 3,
+        player_id: 1,
+        action: 'Dealt Cards',
+        cards: ['2c', '3d', '4h', '5s', 'Kd'],
+      },
+    ]);
+    expect(ohh.rounds[1].actions.slice(0, 4)).toEqual([
+      { action_number: 7, player_id: 2, action: 'Discard Cards', card_count: 1, cards: ['Qc'] },
+      { action_number: 8, player_id: 1, action: 'Discard Cards', card_count: 1, cards: ['Kd'] },
+      { action_number: 9, player_id: 2, action: 'Dealt Cards', card_count: 1, cards: ['7c'] },
+      { action_number: 10, player_id: 1, action: 'Dealt Cards', card_count: 1, cards: ['7d'] },
+    ]);
+    expect(ohh.rounds[2].actions[0]).toEqual({
+      action_number: 13,
+      player_id: 2,
+      action: 'Stands Pat',
+    });
+    expect(ohh.rounds[4].actions.map((a) => [a.player_id, a.action, a.cards])).toEqual([
+      [2, 'Shows Cards', ['2d', '3c', '4s', '6h', '7c']],
+      [1, 'Shows Cards', ['2c', '3d', '4h', '5s', '7d']],
+    ]);
+  });
+
+  it("should hide opponents' cards from a hero's export", async () => {
+    const exporter = await playShowdownHand({ heroId: 'bob' });
+    const [{ ohh }] = exporter.getHands();
+
+    expect(ohh.hero_player_id).toBe(2);
+    const predraw = ohh.rounds[0].actions.filter((a) => a.action === 'Dealt Cards');
+    expect(predraw).toEqual([
+      {
+        action_number: 3,
+        player_id: 2,
+        action: 'Dealt Cards',
+        cards: ['2d', '3c', '4s', '6h', 'Qc'],
+      },
+    ]);
+    const draws = ohh.rounds[1].actions.filter((a) => a.player_id === 1 && a.card_count);
+    expect(draws.map((a) => a.cards)).toEqual([undefined, undefined]);
+
+    // Cards shown down are public
+    expect(JSON.stringify(ohh.rounds[4])).toContain('7d');
+    expect(JSON.stringify(ohh.rounds.slice(0, 4))).not.toContain('Kd');
+  });
+
+  it('should export all-ins, side pots and returned bets as JSON Lines', async () => {
+    const table = new Table({
+      id: 'T2',
+      blinds: { small: 10, big: 20 },
+      bettingStructure: Limits.NO_LIMIT,
+      dealerButton: 0,
+      simulationMode: true,
+    });
+    const recorder = new HandRecorder(table);
+    const writer = new HandHistoryWriter(table, { recorder });
+    const exporter = new OhhExporter(table, { recorder });
+    const exported = [];
+    exporter.on('hand:ohh', (data) => exported.push(data));
+
+    table.addPlayer(
+      createNamedPlayer('alice', 1000, {
+        actions: [{ action: Action.RAISE, amount: 80 }, { action: Action.FOLD }],
+      })
+    );
+    table.addPlayer(createNamedPlayer('bob', 50, { actions: [{ action: Action.ALL_IN }] }));
+    table.addPlayer(createNamedPlayer('carol', 1000, { actions: [{ action: Action.ALL_IN }] }));
+    table.addPlayer(createNamedPlayer('dave', 1000, { actions: [{ action: Action.FOLD }] }));
+    await table.tryStartGame();
+
+    expect(writer.hands).toBe(exporter.hands);
+    expect(exported.map((e) => e.gameNumber)).toEqual([1]);
+    const { ohh } = exported[0].ohh;
+    expect(ohh.bet_limit.bet_type).toBe('NL');
+
+    const actions = ohh.rounds.flatMap((round) => round.actions);
+    const find = (playerId, action) =>
+      actions.find((a) => a.player_id === playerId && a.action === action);
+    expect(find(1, 'Raise')).toMatchObject({ amount: 100, is_allin: false });
+    expect(find(2, 'Call')).toMatchObject({ amount: 40, is_allin: true });
+    expect(find(3, 'Raise')).toMatchObject({ amount: 980, is_allin: true });
+    expect(find(3, 'Uncalled Bet Returned')).toMatchObject({ amount: 900, is_allin: false });
+    expect(ohh.pots.map((pot) => pot.amount)).toEqual([150, 100]);
+
+    const lines = exporter.toJsonLines().split('\n');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toBe('');
+    expect(importOhhJsonLines(exporter.toJsonLines())).toEqual([ohh]);
+  });
+});
+
+describe('Open Hand History import', () => {
+  it('should validate documents and name the field at fault', async () => {
+    const exporter = await playShowdownHand();
+    const [document] = exporter.getHands();
+    expect(importOhh(JSON.stringify(document))).toEqual(document.ohh);
+
+    const broken = structuredClone(document);
+    broken.ohh.players[1].seat = '2';
+    expect(() => importOhh(broken)).toThrow(
+      'Invalid OHH hand: ohh.players[1].seat must be a number'
+    );
+
+    const unknownPlayer = structuredClone(document);
+    unknownPlayer.ohh.rounds[1].actions[0].player_id = 9;
+    expect(() => importOhh(unknownPlayer)).toThrow(
+      'ohh.rounds[1].actions[0].player_id is not a listed player: 9'
+    );
+
+    const badCard = structuredClone(document);
+    badCard.ohh.rounds[0].actions[2].cards[0] = '10c';
+    expect(() => importOhh(badCard)).toThrow('ohh.rounds[0].actions[2].cards[0] is not a card');
+
+    expect(() => importOhh('{"ohh":')).toThrow('Invalid OHH hand: not JSON');
+    expect(() => importOhhJsonLines(`${JSON.stringify(document)}\n\n{"ohh":{}}\n`)).toThrow(
+      'Line 3: Invalid OHH hand: ohh.spec_version must be a string'
+    );
+  });
+});
@@ -75,6 +75,41 @@ describe('PotManager Unit Tests', () => {
       // Should total main pot + side pot
       expect(potManager.getTotalPot()).toBe(400);
     });
+
+    it('should split pots correctly when a smaller all-in follows a larger one', () => {
+      // player3 shoves 500, player2 calls all-in for 200, player1 calls all-in for 100
+      potManager.addToPot(players[2], 500);
+      potManager.handleAllIn(players[2], 500);
+      potManager.addToPot(players[1], 200);
+      potManager.handleAllIn(players[1], 200);
+      potManager.addToPot(players[0], 100);
+      potManager.handleAllIn(players[0], 100);
+
+      const info = potManager.getPotsInfo().filter((pot) => pot.amount > 0);
+      expect(info.map((pot) => [pot.potName, pot.amount, pot.eligiblePlayers])).toEqual([
+        ['Main Pot', 300, ['player1', 'player2', 'player3']],
+        ['Side Pot 1', 200, ['player2', 'player3']],
+        ['Side Pot 2', 300, ['player3']],
+      ]);
+      expect(potManager.getTotalPot()).toBe(800);
+    });
+
+    it('should emit sidepot:created when a pot is split', () => {
+      const events = [];
+      potManager.on('sidepot:created', (data) => events.push(data));
+
+      potManager.addToPot(players[0], 50);
+      potManager.handleAllIn(players[0], 50);
+
+      expect(events).toEqual([
+        {
+          potId: 1,
+          potName: 'Side Pot 1',
+          eligiblePlayers: ['player2', 'player3'],
+          eligibleCount: 2,
+        },
+      ]);
+    });
   });
 
   describe('Interface Documentation', () => {
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { TripleDrawGameEngine } from '../packages/core/src/game/TripleDrawGameEngine.js';
+import { HandRecorder } from '../packages/core/src/history/HandRecorder.js';
+import { replayHand } from '../packages/core/src/history/replayHand.js';
+import { Limits } from '../packages/core/src/constants.js';
+import { Action } from '../packages/core/src/types/index.js';
+import { CyclingPlayer, createPlayer } from './helpers.js';
+
+const createCyclingPlayer = (id, chips, offset) =>
+  createPlayer(id, chips, { offset, discardPositions: [0, 3] }, CyclingPlayer);
+
+/**
+ * Play a session at a table and return every recorded hand
+ */
+const playSession = async (config) => {
+  const table = new Table({ blinds: { small: 10, big: 20 }, simulationMode: true, ...config });
+  const recorder = new HandRecorder(table);
+  [400, 900, 650, 1200].forEach((chips, i) =>
+    table.addPlayer(createCyclingPlayer(`p${i}`, chips, i))
+  );
+  for (let i = 0; i < 10 && table.players.size >= 2; i++) {
+    await table.tryStartGame();
+  }
+  return recorder.hands;
+};
+
+describe('replayHand', () => {
+  it('should replay recorded hands from their seed or deck order', async () => {
+    for (const bettingStructure of [Limits.FIXED_LIMIT, Limits.NO_LIMIT]) {
+      const hands = await playSession({ bettingStructure, seed: 11 });
+      expect(hands.length).toBeGreaterThan(1);
+
+      for (const hand of hands) {
+        for (const source of [{ deckOrder: null }, { seed: null }]) {
+          const replay = await replayHand({ ...hand, ...source });
+
+          expect(replay.divergences).toEqual([]);
+          expect(replay.match).toBe(true);
+          expect(replay.complete).toBe(true);
+          expect(replay.actionIndex).toBe(hand.actions.length);
+          expect(replay.result.pots).toEqual(hand.pots);
+        }
+      }
+    }
+  });
+
+  it('should replay hands dealt by an unseeded table from the deck order', async () => {
+    const [hand] = await playSession({});
+    expect(hand.seed).toBeNull();
+
+    const replay = await replayHand(hand);
+    expect(replay.match).toBe(true);
+    expect(replay.result.pots).toEqual(hand.pots);
+
+    // Stopping at the first decision shows the deal
+    const firstDecision = hand.actions.findIndex((entry) => entry.totalBet !== undefined);
+    const { state } = await replayHand(hand, { stopAt: firstDecision });
+    for (const { playerId } of hand.seats) {
+      expect(state.players[playerId].hand.map(String)).toEqual(hand.holeCards[playerId]);
+    }
+    await expect(replayHand({ ...hand, deckOrder: null })).rejects.toThrow(
+      'replayHand needs a seed or a deck order'
+    );
+  });
+
+  it('should stop at an action index and return the state at that point', async () => {
+    const [hand] = await playSession({ seed: 'dispute-42' });
+    const drawIndex = hand.actions.findIndex((entry) => entry.action === Action.DRAW);
+    const stopAt = drawIndex + 2;
+
+    const replay = await replayHand(hand, { stopAt });
+
+    expect(replay.complete).toBe(false);
+    expect(replay.result).toBeNull();
+    expect(replay.match).toBe(true);
+    expect(replay.actionIndex).toBe(stopAt);
+    expect(replay.state.actionHistory).toHaveLength(stopAt);
+    expect(replay.state.pot).toBe(hand.actions[stopAt - 1].pot);
+    expect(replay.state.actionHistory.at(-1)).toMatchObject({
+      action: hand.actions[stopAt - 1].action,
+      playerId: hand.actions[stopAt - 1].playerId,
+    });
+
+    // The same replay run to the end reaches the recorded result
+    const full = await replayHand(hand);
+    expect(full.match).toBe(true);
+    expect(full.result.pots).toEqual(hand.pots);
+  });
+
+  it('should report where a replay leaves the log', async () => {
+    const [hand] = await playSession({ seed: 3 });
+    const index = hand.actions.findIndex((entry) => entry.action === Action.CALL);
+    const actions = hand.actions.map((entry) => ({ ...entry }));
+    actions[index] = { ...actions[index], action: Action.FOLD };
+
+    const replay = await replayHand({ ...hand, actions });
+
+    expect(replay.match).toBe(false);
+    expect(replay.divergences.length).toBeGreaterThan(0);
+    expect(Number(replay.divergences[0].match(/^Action (\d+): /)[1])).toBeGreaterThan(index);
+  });
+
+  it('should repeat an engine that drew its own button from the seed', async () => {
+    const players = [400, 900, 650].map((chips, i) => createCyclingPlayer(`p${i}`, chips, i));
+    const engine = new TripleDrawGameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      seed: 77,
+      simulationMode: true,
+    });
+    const starting = players.map((p) => ({ id: p.id, chips: p.chips }));
+    let result;
+    engine.once('hand:ended', (data) => (result = data));
+    await engine.start();
+
+    const replay = await replayHand({
+      players: starting,
+      config: engine.getReplayConfig(),
+      seed: 77,
+      actions: result.actionHistory,
+      discards: engine.drawDiscards,
+    });
+
+    expect(replay.match).toBe(true);
+    expect(replay.engine.dealerButtonIndex).toBe(engine.dealerButtonIndex);
+    expect(replay.result.pots).toEqual(result.pots);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { Deck } from '../packages/core/src/game/Deck.js';
+import { TripleDrawGameEngine } from '../packages/core/src/game/TripleDrawGameEngine.js';
+import { SeededRng, CryptoRng, createRng } from '../packages/core/src/utils/rng.js';
+import { checkOrCall, createPlayer } from './helpers.js';
+
+const sequence = (rng, count) => Array.from({ length: count }, () => rng.next());
+
+/**
+ * Play a few hands at a fresh table and collect each hand's button, hole cards and seed
+ */
+const playSession = async (config) => {
+  const table = new Table({ blinds: { small: 10, big: 20 }, simulationMode: true, ...config });
+  const hands = [];
+  table.on('game:started', ({ buttonSeat }) => {
+    hands.push({ buttonSeat, engine: table.gameEngine });
+  });
+  table.on('hand:completed', ({ seed }) => (hands.at(-1).seed = seed));
+  ['a', 'b', 'c'].forEach((id) =>
+    table.addPlayer(createPlayer(id, 1000, { defaultAction: checkOrCall }))
+  );
+  for (let i = 0; i < 3; i++) {
+    await table.tryStartGame();
+  }
+  return hands.map(({ buttonSeat, seed, engine }) => ({
+    buttonSeat,
+    seed,
+    cards: engine.players.map((p) => engine.playerHands.get(p.id).map(String)),
+  }));
+};
+
+describe('RNG', () => {
+  it('should repeat a seeded sequence and spread values across [0, 1)', () => {
+    expect(sequence(new SeededRng(42), 5)).toEqual(sequence(new SeededRng(42), 5));
+    expect(sequence(new SeededRng('run-1'), 5)).toEqual(sequence(new SeededRng('run-1'), 5));
+    expect(sequence(new SeededRng(42), 5)).not.toEqual(sequence(new SeededRng(43), 5));
+
+    for (const rng of [new SeededRng(7), new CryptoRng()]) {
+      const values = sequence(rng, 1000);
+      expect(values.every((v) => v >= 0 && v < 1)).toBe(true);
+      expect(new Set(values.map((v) => Math.floor(v * 10))).size).toBe(10);
+      expect(rng.nextInt(6)).toBeLessThan(6);
+    }
+    expect(new CryptoRng().seed).toBeNull();
+  });
+
+  it('should create RNGs from config', () => {
+    const rng = new SeededRng(1);
+    expect(createRng({ rng, seed: 2 })).toBe(rng);
+    expect(createRng({ seed: 2 })).toBeInstanceOf(SeededRng);
+    expect(createRng({})).toBeInstanceOf(CryptoRng);
+    expect(() => createRng({ rng: {} })).toThrow('rng must implement next() and nextInt(max)');
+    expect(() => new SeededRng({})).toThrow('RNG seed must be a number or a string');
+  });
+
+  it('should shuffle a deck the same way for the same seed', () => {
+    const shuffled = (options) => {
+      const deck = new Deck(options);
+      deck.shuffle();
+      return deck.cards.map(String);
+    };
+
+    expect(shuffled({ seed: 99 })).toEqual(shuffled({ rng: new SeededRng(99) }));
+    expect(shuffled({ seed: 99 })).not.toEqual(shuffled({ seed: 100 }));
+    expect(shuffled({ seed: 99 }).sort()).toEqual(new Deck().cards.map(String).sort());
+  });
+
+  it('should deal identical sessions at tables with the same seed', async () => {
+    const first = await playSession({ seed: 'sim' });
+    const second = await playSession({ seed: 'sim' });
+
+    expect(second).toEqual(first);
+    expect(new Set(first.map((hand) => hand.seed)).size).toBe(3);
+    expect(first.map((hand) => hand.cards)).not.toEqual(
+      (await playSession({ seed: 'other' })).map((hand) => hand.cards)
+    );
+  });
+
+  it("should reproduce a hand's deal from the seed in its metadata", async () => {
+    const table = new Table({ blinds: { small: 10, big: 20 }, simulationMode: true, seed: 5 });
+    let completed;
+    let engine;
+    table.on('game:started', () => (engine = table.gameEngine));
+    table.on('hand:completed', (data) => (completed = data));
+    ['a', 'b'].forEach((id) =>
+      table.addPlayer(createPlayer(id, 1000, { defaultAction: checkOrCall }))
+    );
+    await table.tryStartGame();
+
+    const replay = new TripleDrawGameEngine({
+      players: ['a', 'b'].map((id) => createPlayer(id, 1000, { defaultAction: checkOrCall })),
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      seed: completed.seed,
+      simulationMode: true,
+    });
+    replay.initializeHand();
+
+    expect(typeof completed.seed).toBe('number');
+    for (const id of ['a', 'b']) {
+      expect(replay.playerHands.get(id).map(String)).toEqual(
+        engine.playerHands.get(id).map(String)
+      );
+    }
+  });
+
+  it('should keep the seed out of everything sent before the hand is over', async () => {
+    const table = new Table({ blinds: { small: 10, big: 20 }, simulationMode: true, seed: 5 });
+    const events = {};
+    for (const event of ['game:started', 'hand:started', 'hand:completed']) {
+      table.on(event, (data) => (events[event] = data));
+    }
+    let state;
+    table.on('player:to:act', () => (state ??= table.getState()));
+    ['a', 'b'].forEach((id) =>
+      table.addPlayer(createPlayer(id, 1000, { defaultAction: checkOrCall }))
+    );
+    await table.tryStartGame();
+
+    expect(events['game:started']).not.toHaveProperty('seed');
+    expect(events['hand:started']).not.toHaveProperty('seed');
+    expect(state.config.seed).toBeUndefined();
+    expect(state.config.rng).toBeUndefined();
+    expect(typeof events['hand:completed'].seed).toBe('number');
+  });
+
+  it('should report no seed for unseeded tables', async () => {
+    const hands = await playSession({});
+    expect(hands.map((hand) => hand.seed)).toEqual([null, null, null]);
+  });
+});
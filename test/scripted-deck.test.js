@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { ScriptedDeck } from '../packages/core/src/game/ScriptedDeck.js';
+import { checkOrCall, createPlayer, createEngine } from './helpers.js';
+
+const createCallingPlayer = (id, draws) =>
+  createPlayer(id, 1000, { defaultAction: checkOrCall, draws });
+
+/**
+ * Play one heads-up hand from a deck script and return the engine and its result
+ */
+const playHand = async (deck, drawPlans) => {
+  const players = ['a', 'b'].map((id, i) => createCallingPlayer(id, drawPlans[i]));
+  const engine = createEngine(players, { deck });
+  let result;
+  engine.once('hand:ended', (data) => (result = data));
+  await engine.start();
+  return { engine, result };
+};
+
+const handOf = (engine, id) => engine.playerHands.get(id).map(String);
+
+describe('ScriptedDeck', () => {
+  it('should deal the scripted hands and each draw its scripted cards', async () => {
+    const deck = new ScriptedDeck({
+      deal: ['7h 5d 4c 3s Kd', '8h 6d 4d 3c Qc'],
+      draws: ['Kh', ['2d'], '2h'],
+    });
+    // a throws the king twice; b throws the queen in the second draw only
+    const { engine, result } = await playHand(deck, [
+      [[4], [], [4]],
+      [[], [4]],
+    ]);
+
+    expect(handOf(engine, 'a')).toEqual(['7h', '5d', '4c', '3s', '2h']);
+    expect(handOf(engine, 'b')).toEqual(['8h', '6d', '4d', '3c', '2d']);
+    expect(engine.deck.discardPile.map(String)).toEqual(['Kd', 'Qc', 'Kh']);
+    expect(result.winners.map((winner) => winner.playerId)).toEqual(['a']);
+  });
+
+  it('should take the whole stub order, also as a string or array', async () => {
+    const stub = '7h 5d 4c 3s 2h  Kh Kd Qc Js 9h  8c';
+    for (const deck of [new ScriptedDeck(stub), new ScriptedDeck(stub.split(/\s+/))]) {
+      const { engine } = await playHand(deck, [[], [[0]]]);
+      expect(handOf(engine, 'a')).toEqual(['7h', '5d', '4c', '3s', '2h']);
+      expect(handOf(engine, 'b')).toEqual(['Kd', 'Qc', 'Js', '9h', '8c']);
+    }
+  });
+
+  it('should hold scripted draws back when the discards are reshuffled', async () => {
+    // Six players throw five cards each in the first draw, so the stub runs out
+    const players = ['a', 'b', 'c', 'd', 'e', 'f'].map((id, i) =>
+      createCallingPlayer(id, [[0, 1, 2, 3, 4], i === 0 ? [0] : []])
+    );
+    const engine = createEngine(players, {
+      dealerButton: 5,
+      deck: new ScriptedDeck({ draws: [null, '2d'] }),
+    });
+    const reshuffles = [];
+    engine.on('deck:reshuffled', (data) => reshuffles.push(data));
+    await engine.start();
+
+    expect(reshuffles).toMatchObject([{ phase: 'first-draw' }]);
+    expect(handOf(engine, 'a').at(-1)).toBe('2d');
+  });
+
+  it('should reject duplicate, invalid and missing cards', () => {
+    expect(() => new ScriptedDeck('7h 5d 7h')).toThrow('ScriptedDeck has a duplicate card: 7h');
+    expect(() => new ScriptedDeck({ deal: '7h 5d 4c 3s 2h', draws: ['7h'] })).toThrow(
+      'ScriptedDeck has a duplicate card: 7h'
+    );
+    expect(() => new ScriptedDeck('7h 10d')).toThrow('ScriptedDeck has an invalid card: 10d');
+    expect(() => new ScriptedDeck({ deal: '7h 5d 4c 3s' })).toThrow(
+      'ScriptedDeck deal must be 5 cards per hand, got 4'
+    );
+    expect(() => new ScriptedDeck({ stub: '7h', deal: '7h 5d 4c 3s 2h' })).toThrow(
+      'ScriptedDeck takes a stub order or a deal and draws, not both'
+    );
+
+    // One scripted hand for two players
+    const short = createEngine(
+      ['a', 'b'].map((id) => createCallingPlayer(id)),
+      {
+        deck: new ScriptedDeck({ deal: '7h 5d 4c 3s 2h' }),
+      }
+    );
+    expect(() => short.initializeHand()).toThrow('ScriptedDeck deal has 1 hands, but 2 were dealt');
+
+    // One scripted replacement for a two-card draw
+    const deck = new ScriptedDeck({ deal: ['7h 5d 4c 3s Kd', '8h 6d 4d 3c Qc'], draws: ['2h'] });
+    deck.dealHand();
+    deck.dealHand();
+    deck.beginDraw(1);
+    expect(() => deck.dealReplacements(2)).toThrow(
+      'ScriptedDeck draw 1 has 1 cards, but 2 were dealt'
+    );
+  });
+
+  it('should play the same script every hand at a table', async () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      simulationMode: true,
+      deck: new ScriptedDeck({ deal: ['7h 5d 4c 3s 2h', '8h 6d 4d 3c 2d'] }),
+    });
+    const dealt = [];
+    table.on('game:started', () => {
+      const engine = table.gameEngine;
+      engine.once('cards:dealt', () => dealt.push(handOf(engine, engine.players[0].id)));
+    });
+    ['a', 'b'].forEach((id) => table.addPlayer(createCallingPlayer(id)));
+    await table.tryStartGame();
+    await table.tryStartGame();
+
+    expect(dealt).toEqual([
+      ['7h', '5d', '4c', '3s', '2h'],
+      ['7h', '5d', '4c', '3s', '2h'],
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { Limits } from '../packages/core/src/constants.js';
+import { Action, PlayerState } from '../packages/core/src/types/index.js';
+import { createPlayer, createEngine } from './helpers.js';
+
+const playHand = async (players, bettingStructure = Limits.NO_LIMIT) => {
+  const engine = createEngine(players, { bettingStructure });
+
+  const prompts = [];
+  engine.on('player:to:act', (data) => prompts.push(data));
+  await engine.start();
+
+  return { engine, prompts };
+};
+
+describe('Short all-in raises', () => {
+  it('should not reopen betting for a player who already acted', async () => {
+    const players = [
+      createPlayer('btn', 1000, {
+        actions: [{ action: Action.RAISE, amount: 80 }, { action: Action.CALL }],
+      }),
+      createPlayer('sb', 150, { actions: [{ action: Action.ALL_IN }] }),
+      createPlayer('bb', 1000, { actions: [{ action: Action.CALL }] }),
+    ];
+
+    const { prompts } = await playHand(players);
+
+    // sb's all-in only adds 50 to a raise of 80
+    const [, , bbPrompt, btnPrompt] = prompts;
+    expect(bbPrompt.playerId).toBe('bb');
+    expect(bbPrompt.validActions).toContain(Action.RAISE);
+    expect(btnPrompt.playerId).toBe('btn');
+    expect(btnPrompt.validActions).toEqual([Action.FOLD, Action.CALL]);
+    expect(btnPrompt.gameState.raisesInRound).toBe(1);
+  });
+
+  it('should fold a locked player who tries to re-raise', async () => {
+    const players = [
+      createPlayer('btn', 1000, {
+        actions: [
+          { action: Action.RAISE, amount: 80 },
+          { action: Action.RAISE, amount: 200 },
+        ],
+      }),
+      createPlayer('sb', 150, { actions: [{ action: Action.ALL_IN }] }),
+      createPlayer('bb', 1000, { actions: [{ action: Action.CALL }] }),
+    ];
+
+    await playHand(players);
+
+    expect(players[0].state).toBe(PlayerState.FOLDED);
+  });
+
+  it('should reopen betting once short all-ins add up to a full raise', async () => {
+    const players = [
+      createPlayer('btn', 1000, {
+        actions: [{ action: Action.RAISE, amount: 80 }, { action: Action.CALL }],
+      }),
+      createPlayer('sb', 150, { actions: [{ action: Action.ALL_IN }] }),
+      createPlayer('bb', 220, { actions: [{ action: Action.ALL_IN }] }),
+    ];
+
+    const { prompts } = await playHand(players);
+
+    // Two short all-ins lift the bet from 100 to 220, more than the last raise of 80
+    const btnPrompt = prompts[3];
+    expect(btnPrompt.playerId).toBe('btn');
+    expect(btnPrompt.currentBet).toBe(220);
+    expect(btnPrompt.validActions).toContain(Action.RAISE);
+  });
+
+  it('should not count a short all-in toward the limit raise cap', async () => {
+    const players = [
+      createPlayer('btn', 30, { actions: [{ action: Action.ALL_IN }] }),
+      createPlayer('sb', 1000, { defaultAction: { action: Action.CALL } }),
+      createPlayer('bb', 1000, { defaultAction: { action: Action.CALL } }),
+    ];
+
+    const { prompts } = await playHand(players, Limits.FIXED_LIMIT);
+
+    expect(prompts[1]).toMatchObject({ playerId: 'sb', currentBet: 30 });
+    expect(prompts[1].gameState.raisesInRound).toBe(0);
+    expect(prompts[1].validActions).toContain(Action.RAISE);
+  });
+});
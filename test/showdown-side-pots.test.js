@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { TripleDrawGameEngine } from '../packages/core/src/game/TripleDrawGameEngine.js';
+import { PotManager } from '../packages/core/src/game/PotManager.js';
+import { ScriptedDeck } from '../packages/core/src/game/ScriptedDeck.js';
+import { Player } from '../packages/core/src/Player.js';
+import { PlayerState } from '../packages/core/src/types/index.js';
+
+describe('Side-pot-aware showdown payouts', () => {
+  let players;
+  let engine;
+
+  beforeEach(() => {
+    players = [
+      new Player({ id: 'short' }),
+      new Player({ id: 'bigA' }),
+      new Player({ id: 'bigB' }),
+    ];
+    players.forEach((p) => (p.chips = 1000));
+
+    engine = new TripleDrawGameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 2,
+      simulationMode: true,
+      deck: new ScriptedDeck({
+        deal: [
+          '7h 5d 4c 3s 2h', // short: the wheel
+          '8h 6d 4d 3c 2d', // bigA: 8-6 low
+          '9s 7d 5c 3d 2c', // bigB: 9-7 low
+        ],
+      }),
+    });
+
+    engine.initializeHand();
+
+    // Replace the blinds with a controlled pot structure
+    players.forEach((p) => {
+      p.chips = 1000;
+      p.bet = 0;
+    });
+    engine.potManager = new PotManager(players);
+  });
+
+  const commit = (player, amount) => {
+    player.chips -= amount;
+    engine.potManager.addToPot(player, amount);
+  };
+
+  it('should only award the short all-in player the pot they covered', async () => {
+    commit(players[1], 100);
+    commit(players[2], 100);
+    players[0].state = PlayerState.ALL_IN;
+    engine.potManager.handleAllIn(players[0], 100);
+    commit(players[0], 100);
+    commit(players[1], 200);
+    commit(players[2], 200);
+
+    let result;
+    engine.on('hand:ended', (data) => (result = data));
+    await engine.showdown();
+
+    expect(result.showdown).toBe(true);
+    expect(result.pots).toEqual([
+      {
+        potId: 0,
+        potName: 'Main Pot',
+        amount: 300,
+        eligiblePlayers: ['short', 'bigA', 'bigB'],
+        winners: [{ playerId: 'short', amount: 300 }],
+      },
+      {
+        potId: 1,
+        potName: 'Side Pot 1',
+        amount: 400,
+        eligiblePlayers: ['bigA', 'bigB'],
+        winners: [{ playerId: 'bigA', amount: 400 }],
+      },
+    ]);
+
+    expect(players[0].chips).toBe(1200);
+    expect(players[1].chips).toBe(1100);
+    expect(players[2].chips).toBe(700);
+    expect(result.winners.map((w) => [w.playerId, w.amount])).toEqual([
+      ['short', 300],
+      ['bigA', 400],
+    ]);
+    expect(engine.potManager.getTotalPot()).toBe(0);
+  });
+
+  it('should include all-in players in the showdown', async () => {
+    players.forEach((p) => commit(p, 100));
+    players[0].state = PlayerState.ALL_IN;
+
+    let result;
+    engine.on('hand:ended', (data) => (result = data));
+    await engine.showdown();
+
+    expect(result.allHands.map((h) => h.playerId)).toContain('short');
+    expect(result.winners).toEqual([
+      expect.objectContaining({ playerId: 'short', amount: 300 }),
+    ]);
+  });
+
+  it('should give the odd chip to the first winner left of the button', async () => {
+    // Make bigA and bigB tie with the same ranks
+    engine.playerHands.set('bigB', engine.playerHands.get('bigA').map((c) => ({ ...c })));
+    players[0].state = PlayerState.FOLDED;
+
+    players.forEach((p) => commit(p, 100));
+    engine.potManager.addDeadMoney(1);
+
+    let result;
+    engine.on('hand:ended', (data) => (result = data));
+    await engine.showdown();
+
+    // Button is bigB, so bigA (seat after short) is first to the left among winners
+    expect(result.pots[0].winners).toEqual([
+      { playerId: 'bigA', amount: 151 },
+      { playerId: 'bigB', amount: 150 },
+    ]);
+    const total = players.reduce((sum, p) => sum + p.chips, 0);
+    expect(total).toBe(3000 + 1);
+  });
+
+  it('should report the pot breakdown when everyone else folds', async () => {
+    players.forEach((p) => commit(p, 20));
+    players[0].state = PlayerState.FOLDED;
+    players[2].state = PlayerState.FOLDED;
+
+    let result;
+    engine.on('hand:ended', (data) => (result = data));
+    await engine.showdown();
+
+    expect(result.showdown).toBe(false);
+    expect(result.winners).toEqual([{ playerId: 'bigA', amount: 60 }]);
+    expect(result.pots).toEqual([
+      {
+        potId: 0,
+        potName: 'Main Pot',
+        amount: 60,
+        eligiblePlayers: ['bigA'],
+        winners: [{ playerId: 'bigA', amount: 60 }],
+      },
+    ]);
+  });
+});
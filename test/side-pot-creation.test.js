@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { TripleDrawGameEngine } from '../packages/core/src/game/TripleDrawGameEngine.js';
+import { Table } from '../packages/core/src/Table.js';
+import { ScriptedDeck } from '../packages/core/src/game/ScriptedDeck.js';
+import { Action, PlayerState } from '../packages/core/src/types/index.js';
+import { createPlayer } from './helpers.js';
+
+describe('Automatic side pot creation', () => {
+  it('should open side pots for several all-ins in one betting round', async () => {
+    const players = [
+      createPlayer('big', 1000, { actions: [{ action: Action.ALL_IN }] }),
+      createPlayer('mid', 300, { actions: [{ action: Action.ALL_IN }] }),
+      createPlayer('short', 100, { actions: [{ action: Action.ALL_IN }] }),
+    ];
+
+    const engine = new TripleDrawGameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      limitBetting: false,
+      dealerButton: 0,
+      simulationMode: true,
+      deck: new ScriptedDeck({
+        deal: [
+          '9s 7d 5c 3d 2c', // big: 9-7 low
+          '8h 6d 4d 3c 2d', // mid: 8-6 low
+          '7h 5d 4c 3s 2h', // short: the wheel
+        ],
+      }),
+    });
+
+    const sidePotEvents = [];
+    const returned = [];
+    let result;
+    engine.on('sidepot:created', (data) => sidePotEvents.push(data));
+    engine.on('bet:returned', (data) => returned.push(data));
+    engine.on('hand:ended', (data) => (result = data));
+
+    await engine.start();
+
+    expect(players.slice(1).every((p) => p.state === PlayerState.ALL_IN)).toBe(true);
+    expect(sidePotEvents.length).toBe(3);
+
+    // Nobody covered the last 700 of the big stack's shove
+    expect(returned).toEqual([{ playerId: 'big', amount: 700 }]);
+
+    // Eligible players are listed in showdown order, starting left of the button
+    expect(result.pots).toEqual([
+      {
+        potId: 0,
+        potName: 'Main Pot',
+        amount: 300,
+        eligiblePlayers: ['mid', 'short', 'big'],
+        winners: [{ playerId: 'short', amount: 300 }],
+      },
+      expect.objectContaining({
+        potName: 'Side Pot 1',
+        amount: 400,
+        eligiblePlayers: ['mid', 'big'],
+        winners: [{ playerId: 'mid', amount: 400 }],
+      }),
+    ]);
+
+    expect(players.map((p) => p.chips)).toEqual([700, 400, 300]);
+  });
+
+  it('should let the last active player call an all-in', async () => {
+    const players = [
+      createPlayer('caller', 1000, { actions: [{ action: Action.CALL }] }),
+      createPlayer('shover', 200, { actions: [{ action: Action.ALL_IN }] }),
+    ];
+
+    const engine = new TripleDrawGameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      limitBetting: false,
+      dealerButton: 1,
+      simulationMode: true,
+    });
+
+    // Heads-up: the button (shover) posts the small blind and acts first
+    const calls = [];
+    engine.on('player:called', (data) => calls.push(data));
+    await engine.start();
+
+    expect(calls).toEqual([{ playerId: 'caller', amount: 180 }]);
+    expect(players[0].chips + players[1].chips).toBe(1200);
+  });
+
+  it('should mark a player who posts their last chip as a blind all-in', () => {
+    const players = [
+      createPlayer('button', 1000),
+      createPlayer('sb', 1000),
+      createPlayer('bb', 15),
+    ];
+
+    const engine = new TripleDrawGameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      simulationMode: true,
+    });
+
+    engine.initializeHand();
+
+    expect(players[2].state).toBe(PlayerState.ALL_IN);
+    expect(engine.potManager.pots.length).toBe(2);
+    expect(engine.potManager.getPotsInfo()[0]).toMatchObject({
+      amount: 25,
+      eligiblePlayers: ['button', 'sb', 'bb'],
+      maxContribution: 15,
+    });
+  });
+
+  it('should forward sidepot:created through the Table', async () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      limitBetting: false,
+      simulationMode: true,
+    });
+
+    const stacks = { a: 100, b: 300, c: 1000 };
+    for (const [id, chips] of Object.entries(stacks)) {
+      table.addPlayer(createPlayer(id, chips, { defaultAction: { action: Action.ALL_IN } }));
+    }
+
+    const events = [];
+    table.on('sidepot:created', (data) => events.push(data));
+
+    await table.tryStartGame();
+
+    expect(events.length).toBeGreaterThan(0);
+    expect(events[0].tableId).toBe(table.id);
+    expect(events[0].eligiblePlayers.length).toBeGreaterThan(0);
+  });
+});
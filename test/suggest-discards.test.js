@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { ScriptedDeck } from '../packages/core/src/game/ScriptedDeck.js';
+import { suggestDiscards } from '../packages/core/src/game/discardStrategy.js';
+import { DefaultDraw } from '../packages/core/src/constants.js';
+import { Action } from '../packages/core/src/types/index.js';
+import { checkOrCall, createPlayer, createEngine, drawLogOf } from './helpers.js';
+
+/**
+ * Play one heads-up hand where 'bot' is dealt 7h 7d 4c 3s Kd and draws 2d 6c first
+ */
+const playHand = async (draws, config = {}) => {
+  const engine = createEngine(
+    [
+      createPlayer('bot', 1000, { defaultAction: checkOrCall, draws }),
+      createPlayer('other', 1000, { defaultAction: checkOrCall }),
+    ],
+    {
+      deck: new ScriptedDeck({ deal: ['7h 7d 4c 3s Kd', '8h 6d 4d 3c 2h'], draws: ['2d 6c'] }),
+      ...config,
+    }
+  );
+  await engine.start();
+  const drawLog = drawLogOf(engine, 'bot', 'first-draw');
+  return { engine, drawLog };
+};
+
+const split = (hand) => hand.split(' ');
+
+describe('suggestDiscards', () => {
+  it('should break pairs and throw high cards', () => {
+    expect(suggestDiscards(split('7h 7d 4c 3s Kd'))).toEqual([1, 4]);
+    expect(suggestDiscards(split('Ah Kd Qc Js 9h'))).toEqual([0, 1, 2, 3, 4]);
+    expect(suggestDiscards(split('9h 5d 4c 3s 2h'))).toEqual([0]);
+    expect(suggestDiscards(split('9h 5d 4c 3s 2h'), undefined, { keepAtMost: 9 })).toEqual([]);
+
+    // A made eight stands pat
+    expect(suggestDiscards(split('8h 6d 4c 3s 2h'))).toEqual([]);
+
+    // Card objects work as well as strings
+    const hand = split('Kd 5d 4c 3s 2h').map((str) => ({ rank: str[0], suit: str[1] }));
+    expect(suggestDiscards(hand)).toEqual([0]);
+  });
+
+  it('should break straights and flushes by throwing the highest card', () => {
+    expect(suggestDiscards(split('2h 3d 4c 5s 6d'))).toEqual([4]);
+    expect(suggestDiscards(split('7h 3h 4h 2h 8h'))).toEqual([4]);
+  });
+
+  it('should throw exactly the cards asked for', () => {
+    const hand = split('7h 5d 4c 3s Kd');
+    expect(suggestDiscards(hand, 0)).toEqual([]);
+    expect(suggestDiscards(hand, 1)).toEqual([4]);
+    expect(suggestDiscards(hand, 2)).toEqual([0, 4]);
+    expect(suggestDiscards(hand, 5)).toEqual([0, 1, 2, 3, 4]);
+
+    expect(() => suggestDiscards(hand, 6)).toThrow('Cannot discard 6 cards from a 5-card hand');
+    expect(() => suggestDiscards('7h 5d')).toThrow(
+      'suggestDiscards needs the hand as an array of cards'
+    );
+  });
+
+  it('should pick the cards for a draw that only gives a count', async () => {
+    const { engine, drawLog } = await playHand([{ cardsToDiscard: 2 }]);
+
+    expect(drawLog).toEqual([{ action: Action.DRAW, cards: 2, discardIndices: [1, 4] }]);
+    expect(engine.playerHands.get('bot').map(String)).toEqual(['7h', '4c', '3s', '2d', '6c']);
+  });
+
+  it('should draw the suggestion for a missed draw only when asked to', async () => {
+    const missed = [new Error('disconnected')];
+
+    const standPat = await playHand([...missed]);
+    expect(standPat.drawLog).toEqual([
+      { action: Action.STAND_PAT, cards: 0, discardIndices: undefined },
+    ]);
+
+    for (const draw of [...missed, { cardsToDiscard: 2, discardIndices: [0, 0] }]) {
+      const { drawLog } = await playHand([draw], { defaultDraw: DefaultDraw.SUGGESTED });
+      expect(drawLog).toEqual([{ action: Action.DRAW, cards: 2, discardIndices: [1, 4] }]);
+    }
+
+    expect(() =>
+      createEngine([createPlayer('a', 1000), createPlayer('b', 1000)], { defaultDraw: 'fold' })
+    ).toThrow('Unknown default draw: fold');
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { Table } from '../packages/core/src/Table.js';
+import { createPlayer } from './helpers.js';
+
+const createTable = (config = {}) =>
+  new Table({ blinds: { small: 10, big: 20 }, simulationMode: true, ...config });
+
+describe('Table seats', () => {
+  it('should seat players in the seat they ask for', () => {
+    const table = createTable({ maxPlayers: 4 });
+    const joined = [];
+    table.on('player:joined', (data) => joined.push([data.playerId, data.seatNumber]));
+
+    table.addPlayer(createPlayer('a', 1000), { seat: 2 });
+    table.addPlayer(createPlayer('b', 1000));
+    table.addPlayer(createPlayer('c', 1000));
+
+    expect(joined).toEqual([
+      ['a', 2],
+      ['b', 0],
+      ['c', 1],
+    ]);
+    expect(table.getSeats().map((s) => s.playerId)).toEqual(['b', 'c', 'a', null]);
+    expect(table.getSeats()[3]).toEqual({
+      seatNumber: 3,
+      empty: true,
+      playerId: null,
+      name: null,
+      chips: null,
+      state: null,
+    });
+  });
+
+  it('should reject taken or out-of-range seats', () => {
+    const table = createTable({ maxPlayers: 4 });
+    table.addPlayer(createPlayer('a', 1000), { seat: 1 });
+
+    expect(() => table.addPlayer(createPlayer('b', 1000), { seat: 1 })).toThrow(
+      'Seat 1 is already taken'
+    );
+    expect(() => table.addPlayer(createPlayer('b', 1000), { seat: 4 })).toThrow(
+      'Seat must be an integer from 0 to 3'
+    );
+    expect(table.players.has('b')).toBe(false);
+  });
+
+  it('should keep seat numbers stable when players leave', () => {
+    const table = createTable({ maxPlayers: 4 });
+    ['a', 'b', 'c'].forEach((id) => table.addPlayer(createPlayer(id, 1000)));
+
+    const left = [];
+    const joined = [];
+    table.on('player:left', (data) => left.push([data.playerId, data.seatNumber]));
+    table.on('player:joined', (data) => joined.push([data.playerId, data.seatNumber]));
+
+    table.removePlayer('a');
+    table.addPlayer(createPlayer('d', 1000), { seat: 3 });
+    table.addPlayer(createPlayer('e', 1000));
+
+    expect(left).toEqual([['a', 0]]);
+    expect(joined).toEqual([
+      ['d', 3],
+      ['e', 0],
+    ]);
+    expect(table.getState().players.find((p) => p.id === 'c').seatNumber).toBe(2);
+  });
+
+  it('should add seat numbers to forwarded game events', async () => {
+    const table = createTable({ maxPlayers: 6, dealerButton: 1 });
+    table.addPlayer(createPlayer('a', 1000), { seat: 1 });
+    table.addPlayer(createPlayer('b', 1000), { seat: 4 });
+
+    const blinds = [];
+    table.on('blind:posted', (data) => blinds.push([data.playerId, data.seatNumber]));
+    await table.tryStartGame();
+
+    // Heads-up the button posts the small blind
+    expect(blinds).toEqual([
+      ['a', 1],
+      ['b', 4],
+    ]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import { TripleDrawGameEngine } from '../packages/core/src/game/TripleDrawGameEngine.js';
+import { Table } from '../packages/core/src/Table.js';
+import { Action, PlayerState } from '../packages/core/src/types/index.js';
+import { createPlayer } from './helpers.js';
+
+describe('Uncalled bet returns', () => {
+  it('should return the unmatched part of a shove when everyone folds', async () => {
+    const players = [
+      createPlayer('btn', 1000, { actions: [{ action: Action.ALL_IN }] }),
+      createPlayer('sb', 1000),
+      createPlayer('bb', 1000),
+    ];
+
+    const engine = new TripleDrawGameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      limitBetting: false,
+      dealerButton: 0,
+      simulationMode: true,
+    });
+
+    const returned = [];
+    let result;
+    engine.on('bet:returned', (data) => returned.push(data));
+    engine.on('hand:ended', (data) => (result = data));
+
+    await engine.start();
+
+    expect(returned).toEqual([{ playerId: 'btn', amount: 980 }]);
+    expect(result.showdown).toBe(false);
+    expect(result.winners).toEqual([{ playerId: 'btn', amount: 50 }]);
+    expect(players.map((p) => p.chips)).toEqual([1030, 990, 980]);
+  });
+
+  it('should refund an outstanding bet on the fold-to-one path in showdown()', async () => {
+    const players = [
+      createPlayer('btn', 1000),
+      createPlayer('sb', 1000),
+      createPlayer('bb', 1000),
+    ];
+
+    const engine = new TripleDrawGameEngine({
+      players,
+      blinds: { small: 10, big: 20 },
+      dealerButton: 0,
+      simulationMode: true,
+    });
+
+    engine.initializeHand();
+    players[0].state = PlayerState.FOLDED;
+    players[1].state = PlayerState.FOLDED;
+
+    const returned = [];
+    let result;
+    engine.on('bet:returned', (data) => returned.push(data));
+    engine.on('hand:ended', (data) => (result = data));
+
+    await engine.showdown();
+
+    expect(returned).toEqual([{ playerId: 'bb', amount: 10 }]);
+    expect(result.winners).toEqual([{ playerId: 'bb', amount: 20 }]);
+    expect(players[2].chips).toBe(1010);
+    expect(engine.potManager.getTotalPot()).toBe(0);
+  });
+
+  it('should not inflate profits when a short all-in covers less than the shove', async () => {
+    const table = new Table({
+      blinds: { small: 10, big: 20 },
+      limitBetting: false,
+      simulationMode: true,
+    });
+
+    table.addPlayer(createPlayer('short', 100, { defaultAction: { action: Action.ALL_IN } }));
+    table.addPlayer(createPlayer('deep', 1000, { defaultAction: { action: Action.ALL_IN } }));
+
+    const returned = [];
+    table.on('bet:returned', (data) => returned.push(data));
+    const completed = new Promise((resolve) => table.once('hand:completed', resolve));
+
+    await table.tryStartGame();
+    const { profits } = await completed;
+
+    expect(returned).toEqual([
+      expect.objectContaining({ playerId: 'deep', amount: 900, tableId: table.id }),
+    ]);
+    expect(Math.abs(profits.deep)).toBe(100);
+    expect(profits.deep + (profits.short ?? -100)).toBe(0);
+  });
+});